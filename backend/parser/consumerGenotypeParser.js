@@ -0,0 +1,329 @@
+/**
+ * Consumer Genotype Parser Module
+ * Imports direct-to-consumer raw data files (23andMe, AncestryDNA) and
+ * converts pharmacogene rsIDs into the same structure parseVCF returns
+ *
+ * Array files list one marker per line (rsID, chromosome, position,
+ * genotype). Only rsIDs with a built-in star-allele definition are kept;
+ * genotypes are matched to the definition's REF/ALT on the plus strand.
+ */
+
+const { readVCFLines } = require('./vcfReader');
+const { parseGenotype, TARGET_GENES } = require('./vcfParser');
+const { normalizeContig } = require('./genomeBuild');
+const { findAlleleDefinitionByRsid } = require('../services/alleleDefinitions');
+
+// Caveat attached to every array-based result
+const ARRAY_COVERAGE_CAVEAT =
+  'Array-based genotyping with limited allele coverage: only the star alleles ' +
+  'tagged by markers on the array can be detected. When defining sites are ' +
+  'missing from the array, calls that would need a reference (*1) haplotype are ' +
+  'reported as Indeterminate; copy number changes and rare variants at untested ' +
+  'sites are not detected.';
+
+// Build names found in raw data file comments
+const ARRAY_BUILD_PATTERNS = [
+  { build: 'GRCh38', pattern: /grch38|hg38|build\s*38/i },
+  { build: 'GRCh37', pattern: /grch37|hg19|build\s*37/i },
+  { build: 'NCBI36', pattern: /ncbi36|hg18|build\s*36/i },
+];
+
+// Lines inspected when sniffing the upload format
+const FORMAT_SNIFF_LINES = 50;
+
+const COMPLEMENT = { A: 'T', T: 'A', C: 'G', G: 'C' };
+
+/**
+ * Detect the format of an uploaded genotype file from its first lines
+ *
+ * DETECTION RULES:
+ * - "##fileformat=VCF" → "vcf"
+ * - Header or data rows with rsID + chromosome + position + one genotype
+ *   column → "23andme"; with two allele columns → "ancestrydna"
+ * - Anything else → "vcf" (so VCF validation reports the problem)
+ *
+ * @param {Array} lines - Leading lines of the file
+ * @returns {string} "vcf", "23andme" or "ancestrydna"
+ */
+function detectGenotypeFormat(lines) {
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\r$/, '').trim();
+    if (!line) {
+      continue;
+    }
+    if (/^##fileformat=VCF/i.test(line)) {
+      return 'vcf';
+    }
+
+    const columns = line.replace(/^#\s*/, '').split(/\t|,/).map(c => c.trim().toLowerCase());
+    if (columns[0] === 'rsid' && columns[1] === 'chromosome' && columns[2] === 'position') {
+      return columns[3] === 'allele1' ? 'ancestrydna' : '23andme';
+    }
+
+    if (line.startsWith('#')) {
+      continue;
+    }
+    if (/^(rs|i)\d+$/.test(columns[0]) && /^\d+$/.test(columns[2])) {
+      return columns.length >= 5 ? 'ancestrydna' : '23andme';
+    }
+    return 'vcf';
+  }
+
+  return 'vcf';
+}
+
+/**
+ * Detect the format of an uploaded genotype file on disk
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<string>} "vcf", "23andme" or "ancestrydna"
+ */
+async function detectGenotypeFileFormat(filePath) {
+  const lines = [];
+  try {
+    for await (const line of readVCFLines(filePath)) {
+      lines.push(line);
+      if (lines.length >= FORMAT_SNIFF_LINES) {
+        break;
+      }
+    }
+  } catch (error) {
+    // Unreadable input is reported by the VCF parser
+    return 'vcf';
+  }
+  return detectGenotypeFormat(lines);
+}
+
+/**
+ * Parse consumer raw data content
+ * @param {string} content - Raw file content
+ * @returns {object} Same shape as parseVCF (no named samples)
+ */
+function parseConsumerGenotypes(content) {
+  const state = createImportState();
+
+  for (const line of content.split('\n')) {
+    parseConsumerLine(state, line);
+  }
+
+  return buildImportResult(state);
+}
+
+/**
+ * Parse consumer raw data from any line source
+ * @param {AsyncIterable<string>} lines - File lines
+ * @returns {Promise<object>} Same shape as parseVCF
+ */
+async function parseConsumerGenotypeStream(lines) {
+  const state = createImportState();
+
+  for await (const line of lines) {
+    parseConsumerLine(state, line);
+  }
+
+  return buildImportResult(state);
+}
+
+/**
+ * Stream-parse a consumer raw data file from disk (plain or gzip)
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<object>} Same shape as parseVCF
+ */
+async function parseConsumerGenotypeFile(filePath) {
+  try {
+    return await parseConsumerGenotypeStream(readVCFLines(filePath));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create the mutable state shared by the line-by-line importer
+ * @returns {object} Importer state
+ */
+function createImportState() {
+  return {
+    format: null,
+    build: null,
+    variants: [],
+    geneVariants: {},
+    markers: 0,
+    totalRecords: 0,
+    totalLines: 0
+  };
+}
+
+/**
+ * Process one raw data line into the importer state
+ * @param {object} state - Importer state
+ * @param {string} rawLine - One line of the file
+ */
+function parseConsumerLine(state, rawLine) {
+  const line = rawLine.replace(/\r$/, '').trim();
+  state.totalLines++;
+
+  if (!line) {
+    return;
+  }
+
+  // Comments carry the reference build ("... build 37 ...")
+  if (line.startsWith('#')) {
+    if (!state.build) {
+      const match = ARRAY_BUILD_PATTERNS.find(b => b.pattern.test(line));
+      state.build = match ? match.build : null;
+    }
+    return;
+  }
+
+  const columns = line.split(/\t|,/).map(c => c.trim());
+  if (columns[0].toLowerCase() === 'rsid') {
+    state.format = columns[3] && columns[3].toLowerCase() === 'allele1' ? 'ancestrydna' : '23andme';
+    return;
+  }
+  if (columns.length < 4) {
+    return;
+  }
+
+  state.markers++;
+  if (!state.format) {
+    state.format = columns.length >= 5 ? 'ancestrydna' : '23andme';
+  }
+
+  const definition = findAlleleDefinitionByRsid(columns[0]);
+  if (!definition || !TARGET_GENES.includes(definition.gene)) {
+    return;
+  }
+
+  // 23andMe: one genotype column ("AG"); AncestryDNA: two allele columns ("A", "G")
+  const calledBases = state.format === 'ancestrydna'
+    ? [columns[3], columns[4]]
+    : columns[3].split('');
+  const variant = buildArrayVariant(definition, calledBases);
+
+  state.totalRecords++;
+  state.variants.push(variant);
+  if (!state.geneVariants[variant.gene_symbol]) {
+    state.geneVariants[variant.gene_symbol] = [];
+  }
+  state.geneVariants[variant.gene_symbol].push(variant);
+}
+
+/**
+ * Convert array base calls at a defining marker into a VCF-style variant
+ *
+ * GENOTYPE RULES:
+ * - Each base equal to the definition's REF → 0, equal to ALT → 1
+ * - Bases on the opposite strand are complemented, except for A/T and C/G
+ *   markers where the strand cannot be told apart
+ * - No-calls ("--", "0", indel codes) → no_call
+ * - Bases matching neither allele → no_call, flagged as failing quality
+ *
+ * @param {object} definition - Matched star-allele definition
+ * @param {Array} calledBases - Called bases (one per chromosome copy)
+ * @returns {object} Variant in parseVCF form
+ */
+function buildArrayVariant(definition, calledBases) {
+  const bases = calledBases.map(b => String(b || '').toUpperCase()).filter(b => b);
+  const noCall = bases.length === 0 || bases.some(b => !COMPLEMENT[b]);
+  const alleles = noCall ? null : matchBases(bases, definition);
+
+  const gt = alleles ? alleles.join('/') : './.';
+  const genotype = parseGenotype(gt);
+  const mismatch = !noCall && !alleles;
+
+  return {
+    chrom: normalizeContig(definition.chrom),
+    pos: String(definition.pos),
+    pos_grch38: definition.pos,
+    id: definition.rsid,
+    ref: definition.ref,
+    alt: definition.alt,
+    alt_index: 1,
+    qual: null,
+    filter: '.',
+    gene_symbol: definition.gene,
+    rsid: definition.rsid,
+    star_allele: definition.allele,
+    allele_source: 'definition',
+    sample_id: null,
+    genotype: gt,
+    zygosity: genotype.zygosity,
+    allele_dosage: genotype.dosage,
+    phased: false,
+    gt_alleles: genotype.alleles,
+    phase_set: null,
+    copy_number: null,
+    depth: null,
+    genotype_quality: null,
+    allelic_depths: [],
+    genotype_likelihoods: [],
+    array_genotype: bases.join(''),
+    quality_passed: !mismatch,
+    quality_flags: mismatch
+      ? [`Array genotype ${bases.join('')} does not match ${definition.ref}/${definition.alt}`]
+      : []
+  };
+}
+
+/**
+ * Map called bases onto REF (0) / ALT (1), trying the opposite strand
+ * for non-palindromic markers
+ * @param {Array} bases - Upper-case called bases
+ * @param {object} definition - Star-allele definition (plus-strand REF/ALT)
+ * @returns {Array|null} Allele indices, or null when the bases do not match
+ */
+function matchBases(bases, definition) {
+  const code = (base) => (base === definition.ref ? 0 : base === definition.alt ? 1 : null);
+  const direct = bases.map(code);
+  if (direct.every(a => a !== null)) {
+    return direct;
+  }
+
+  const palindromic = COMPLEMENT[definition.ref] === definition.alt;
+  if (!palindromic) {
+    const flipped = bases.map(b => code(COMPLEMENT[b]));
+    if (flipped.every(a => a !== null)) {
+      return flipped;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the public import result (parseVCF shape, no named samples)
+ * @param {object} state - Importer state
+ * @returns {object} Parsed variants grouped by gene
+ */
+function buildImportResult(state) {
+  const result = {
+    success: state.markers > 0,
+    inputFormat: state.format || '23andme',
+    caveats: [ARRAY_COVERAGE_CAVEAT],
+    genomeBuild: state.build
+      ? { build: state.build, source: 'array_header', assumed: false, supported: true }
+      : { build: 'GRCh37', source: 'default', assumed: true, supported: true },
+    totalVariants: state.totalRecords,
+    totalLines: state.totalLines,
+    samples: [],
+    variants: state.variants,
+    geneVariants: state.geneVariants,
+    variantsBySample: {},
+    geneVariantsBySample: {},
+    targetGenes: TARGET_GENES
+  };
+
+  if (state.markers === 0) {
+    result.error = 'No genotype rows found in raw data file';
+  }
+
+  return result;
+}
+
+module.exports = {
+  detectGenotypeFormat,
+  detectGenotypeFileFormat,
+  parseConsumerGenotypes,
+  parseConsumerGenotypeStream,
+  parseConsumerGenotypeFile,
+  ARRAY_COVERAGE_CAVEAT,
+};
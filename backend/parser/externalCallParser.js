@@ -0,0 +1,352 @@
+/**
+ * External Call Parser Module
+ * Reads diplotype calls made by dedicated star-allele callers so they can be
+ * used instead of PharmaGuard's own diplotype inference
+ *
+ * Supported formats:
+ * - PharmCAT outside-call TSV: GENE<TAB>DIPLOTYPE[<TAB>PHENOTYPE[<TAB>ACTIVITY]]
+ * - Aldy result file: #Sample, Gene, SolutionID, Major, ... columns
+ * - Stargazer genotype calls: name, status, hap1_main, hap2_main, ... columns
+ * - OptiType HLA typing result: A1, A2, B1, B2, C1, C2, Reads, Objective columns
+ *   (HLA typing may also be sent as PharmCAT rows, e.g. HLA-B<TAB>*57:01/*08:01)
+ */
+
+const { readVCFLines } = require('./vcfReader');
+
+// Caller identifiers reported in results
+const EXTERNAL_CALLERS = {
+  PHARMCAT: 'pharmcat_outside_call',
+  ALDY: 'aldy',
+  STARGAZER: 'stargazer',
+  OPTITYPE: 'optitype',
+};
+
+// OptiType loci → gene symbols
+const OPTITYPE_LOCI = { A: 'HLA-A', B: 'HLA-B', C: 'HLA-C' };
+
+// Free-text phenotypes (PharmCAT/Stargazer) → phenotype codes
+const PHENOTYPE_PATTERNS = [
+  { code: 'UM', pattern: /ultra/i },
+  { code: 'PM', pattern: /poor/i },
+  { code: 'IM', pattern: /intermediate/i },
+  { code: 'RM', pattern: /rapid/i },
+  { code: 'NM', pattern: /normal|extensive/i },
+];
+
+const PHENOTYPE_CODES = ['PM', 'IM', 'NM', 'RM', 'UM'];
+
+/**
+ * Detect which caller produced a calls file
+ * @param {Array} lines - File lines
+ * @returns {string|null} Caller identifier, or null if unrecognized
+ */
+function detectCallFormat(lines) {
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\r$/, '').trim();
+    if (!line) {
+      continue;
+    }
+
+    const columns = line.replace(/^#/, '').split('\t').map(c => c.trim().toLowerCase());
+    if (columns.includes('gene') && columns.includes('major')) {
+      return EXTERNAL_CALLERS.ALDY;
+    }
+    if (columns.includes('hap1_main') && columns.includes('hap2_main')) {
+      return EXTERNAL_CALLERS.STARGAZER;
+    }
+    if (columns.includes('a1') && columns.includes('b1')) {
+      return EXTERNAL_CALLERS.OPTITYPE;
+    }
+    if (line.startsWith('#')) {
+      continue;
+    }
+    if (/^[A-Z][A-Z0-9-]+$/i.test(columns[0]) && columns.length >= 2) {
+      return EXTERNAL_CALLERS.PHARMCAT;
+    }
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse external diplotype calls
+ *
+ * RULES:
+ * - Calls are grouped by sample (Aldy/Stargazer) and gene; PharmCAT
+ *   outside-call files have no sample column and apply to every sample
+ * - Aldy: the first solution (lowest SolutionID) per sample and gene is used
+ * - Stargazer: the file holds one gene, given by `options.gene`; rows whose
+ *   status is not "g" (genotyped) are skipped
+ * - A phenotype-only call (no diplotype) keeps the caller's phenotype
+ * - OptiType: the result row has no sample column and applies to every
+ *   sample; each locus becomes an HLA-A/HLA-B/HLA-C call
+ *
+ * @param {string} content - Raw file content
+ * @param {object} options - { gene } for Stargazer files
+ * @returns {object} { success, inputFormat, caller, samples, calls, callsBySample, error? }
+ */
+function parseExternalCalls(content, options = {}) {
+  const lines = String(content || '').split('\n');
+  const caller = detectCallFormat(lines);
+
+  if (!caller) {
+    return { success: false, error: 'Unrecognized calls file (expected PharmCAT outside-call TSV, Aldy, Stargazer or OptiType output)' };
+  }
+
+  if (caller === EXTERNAL_CALLERS.STARGAZER && !options.gene) {
+    return { success: false, error: 'Stargazer calls file requires the gene it was run for (gene field)' };
+  }
+
+  const rows = caller === EXTERNAL_CALLERS.PHARMCAT
+    ? parsePharmcatRows(lines)
+    : parseTableRows(lines, caller, options);
+
+  const callsBySample = {};
+  const samples = [];
+  for (const row of rows) {
+    const sampleKey = row.sample || '';
+    if (row.sample && !samples.includes(row.sample)) {
+      samples.push(row.sample);
+    }
+    if (!callsBySample[sampleKey]) {
+      callsBySample[sampleKey] = {};
+    }
+    // Keep the first call per gene (Aldy lists its best solution first)
+    if (!callsBySample[sampleKey][row.gene]) {
+      callsBySample[sampleKey][row.gene] = {
+        gene: row.gene,
+        diplotype: row.diplotype,
+        phenotype: row.phenotype,
+        caller: caller
+      };
+    }
+  }
+
+  const calls = callsBySample[samples.length > 0 ? samples[0] : ''] || {};
+  delete callsBySample[''];
+
+  if (rows.length === 0) {
+    return { success: false, error: 'No diplotype calls found in calls file' };
+  }
+
+  return {
+    success: true,
+    inputFormat: caller,
+    caller: caller,
+    caveats: [],
+    genomeBuild: null,
+    samples: samples,
+    calls: calls,
+    callsBySample: callsBySample
+  };
+}
+
+/**
+ * Read and parse an external calls file from disk (plain or gzip)
+ * @param {string} filePath - Path to the uploaded file
+ * @param {object} options - { gene } for Stargazer files
+ * @returns {Promise<object>} Same shape as parseExternalCalls
+ */
+async function parseExternalCallFile(filePath, options = {}) {
+  try {
+    const lines = [];
+    for await (const line of readVCFLines(filePath)) {
+      lines.push(line);
+    }
+    return parseExternalCalls(lines.join('\n'), options);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Parse PharmCAT outside-call rows (GENE, DIPLOTYPE, PHENOTYPE, ACTIVITY)
+ * @param {Array} lines - File lines
+ * @returns {Array} Rows ({ sample, gene, diplotype, phenotype })
+ */
+function parsePharmcatRows(lines) {
+  const rows = [];
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\r$/, '');
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+
+    const [gene, diplotype, phenotype] = line.split('\t').map(c => (c || '').trim());
+    if (!gene || (!diplotype && !phenotype)) {
+      continue;
+    }
+
+    rows.push({
+      sample: null,
+      gene: gene.toUpperCase(),
+      diplotype: normalizeCalledDiplotype(diplotype),
+      phenotype: normalizeCalledPhenotype(phenotype)
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Parse Aldy/Stargazer tables (header row names the columns)
+ * @param {Array} lines - File lines
+ * @param {string} caller - Caller identifier
+ * @param {object} options - { gene } for Stargazer files
+ * @returns {Array} Rows ({ sample, gene, diplotype, phenotype })
+ */
+function parseTableRows(lines, caller, options) {
+  const rows = [];
+  let columns = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\r$/, '');
+    if (!line.trim()) {
+      continue;
+    }
+
+    const fields = line.replace(/^#/, '').split('\t').map(f => f.trim());
+    if (!columns) {
+      const lower = fields.map(f => f.toLowerCase());
+      if (lower.includes('hap1_main') || lower.includes('major') || lower.includes('a1')) {
+        columns = lower;
+      }
+      continue;
+    }
+    if (line.startsWith('#')) {
+      continue;
+    }
+
+    const row = Object.fromEntries(columns.map((column, index) => [column, fields[index] || '']));
+    if (caller === EXTERNAL_CALLERS.OPTITYPE) {
+      rows.push(...parseOptitypeRow(row));
+      continue;
+    }
+    const parsed = caller === EXTERNAL_CALLERS.ALDY
+      ? parseAldyRow(row)
+      : parseStargazerRow(row, options.gene);
+    if (parsed) {
+      rows.push(parsed);
+    }
+  }
+
+  // Aldy: best (lowest-numbered) solution first
+  return caller === EXTERNAL_CALLERS.ALDY
+    ? rows.sort((a, b) => a.solution - b.solution)
+    : rows;
+}
+
+/**
+ * Read one Aldy result row
+ * @param {object} row - Column name → value
+ * @returns {object|null} Parsed row
+ */
+function parseAldyRow(row) {
+  if (!row.gene || !row.major || !row.major.includes('/')) {
+    return null;
+  }
+
+  return {
+    sample: row.sample || null,
+    gene: row.gene.toUpperCase(),
+    diplotype: normalizeCalledDiplotype(row.major),
+    phenotype: null,
+    solution: parseInt(row.solutionid, 10) || 1
+  };
+}
+
+/**
+ * Read one Stargazer genotype-call row
+ * @param {object} row - Column name → value
+ * @param {string} gene - Gene the Stargazer run targeted
+ * @returns {object|null} Parsed row
+ */
+function parseStargazerRow(row, gene) {
+  if (row.status && row.status !== 'g') {
+    return null;
+  }
+  if (!row.hap1_main || !row.hap2_main) {
+    return null;
+  }
+
+  return {
+    sample: row.name || null,
+    gene: gene.toUpperCase(),
+    diplotype: normalizeCalledDiplotype(`${row.hap1_main}/${row.hap2_main}`),
+    phenotype: normalizeCalledPhenotype(row.phenotype)
+  };
+}
+
+/**
+ * Read one OptiType result row (one call per typed HLA locus)
+ * A homozygous locus may leave its second column empty.
+ * @param {object} row - Column name → value
+ * @returns {Array} Parsed rows
+ */
+function parseOptitypeRow(row) {
+  const rows = [];
+  for (const [locus, gene] of Object.entries(OPTITYPE_LOCI)) {
+    const allele1 = row[`${locus.toLowerCase()}1`];
+    const allele2 = row[`${locus.toLowerCase()}2`] || allele1;
+    if (!allele1) {
+      continue;
+    }
+    rows.push({
+      sample: null,
+      gene: gene,
+      diplotype: normalizeCalledDiplotype(`${allele1}/${allele2}`),
+      phenotype: null
+    });
+  }
+  return rows;
+}
+
+/**
+ * Normalize a caller's diplotype to the notation of the CPIC tables
+ * - Whitespace removed
+ * - Gene prefix dropped ("CYP2D6*1/CYP2D6*4" → "*1/*4", "HLA-B*57:01" → "*57:01")
+ * - Copy number suffixes are kept as written: "*41x3" is three copies, and
+ *   "xN" (count not resolved by the caller) is scored as two
+ * @param {string} diplotype - Diplotype as written by the caller
+ * @returns {string|null} Normalized diplotype
+ */
+function normalizeCalledDiplotype(diplotype) {
+  if (!diplotype) {
+    return null;
+  }
+
+  return diplotype
+    .replace(/\s+/g, '')
+    .split('/')
+    .map(allele => allele.replace(/^[A-Z0-9-]+(?=\*)/i, ''))
+    .join('/');
+}
+
+/**
+ * Normalize a caller's phenotype to a phenotype code (PM, IM, NM, RM, UM)
+ * @param {string} phenotype - e.g., "Poor Metabolizer", "normal_metabolizer", "PM"
+ * @returns {string|null} Phenotype code, or null if not recognized
+ */
+function normalizeCalledPhenotype(phenotype) {
+  if (!phenotype) {
+    return null;
+  }
+
+  const code = phenotype.trim().toUpperCase();
+  if (PHENOTYPE_CODES.includes(code)) {
+    return code;
+  }
+
+  const match = PHENOTYPE_PATTERNS.find(p => p.pattern.test(phenotype));
+  return match ? match.code : null;
+}
+
+module.exports = {
+  detectCallFormat,
+  parseExternalCalls,
+  parseExternalCallFile,
+  normalizeCalledDiplotype,
+  EXTERNAL_CALLERS,
+};
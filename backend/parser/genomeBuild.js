@@ -0,0 +1,293 @@
+/**
+ * Genome Build Module
+ * Detects the reference build of a VCF, normalizes contig names and maps
+ * GRCh37 pharmacogene positions onto the GRCh38 coordinates used internally
+ */
+
+// ============================================================================
+// PHARMACOGENE REGIONS
+// GRCh38 gene body plus promoter/flank padding. `grch37Offset` is the
+// constant shift across each locus: GRCh37 position = GRCh38 position + offset.
+// ============================================================================
+
+const PHARMACOGENE_REGIONS = [
+  { gene: 'DPYD', chrom: 'chr1', start: 97073000, end: 97926000, grch37Offset: 465556 },
+  { gene: 'UGT1A1', chrom: 'chr2', start: 233755000, end: 233775000, grch37Offset: 908646 },
+  { gene: 'TPMT', chrom: 'chr6', start: 18125000, end: 18160000, grch37Offset: 231 },
+  { gene: 'HLA-A', chrom: 'chr6', start: 29940000, end: 29950000, grch37Offset: -32223 },
+  { gene: 'HLA-B', chrom: 'chr6', start: 31160000, end: 31470000, grch37Offset: -32223 },
+  { gene: 'CYP3A5', chrom: 'chr7', start: 99645000, end: 99685000, grch37Offset: -402377 },
+  { gene: 'CYP2C19', chrom: 'chr10', start: 94757000, end: 94860000, grch37Offset: 1759757 },
+  { gene: 'CYP2C9', chrom: 'chr10', start: 94933000, end: 94995000, grch37Offset: 1759757 },
+  { gene: 'SLCO1B1', chrom: 'chr12', start: 21126000, end: 21245000, grch37Offset: 152934 },
+  { gene: 'NUDT15', chrom: 'chr13', start: 48030000, end: 48050000, grch37Offset: 574136 },
+  { gene: 'VKORC1', chrom: 'chr16', start: 31090000, end: 31100000, grch37Offset: 11321 },
+  { gene: 'CYP4F2', chrom: 'chr19', start: 15875000, end: 15900000, grch37Offset: 110810 },
+  { gene: 'CYP2B6', chrom: 'chr19', start: 40985000, end: 41025000, grch37Offset: 505905 },
+  { gene: 'CYP2D6', chrom: 'chr22', start: 42121000, end: 42135000, grch37Offset: 396002 },
+  { gene: 'G6PD', chrom: 'chrX', start: 154528000, end: 154550000, grch37Offset: -771785 },
+];
+
+// ============================================================================
+// BUILD DETECTION TABLES
+// ============================================================================
+
+const SUPPORTED_BUILDS = ['GRCh38', 'GRCh37'];
+
+/**
+ * Reference/assembly name patterns → build
+ */
+const BUILD_PATTERNS = [
+  { build: 'GRCh38', pattern: /grch38|hg38|\bb38\b|hs38/i },
+  { build: 'GRCh37', pattern: /grch37|hg19|\bb37\b|hs37|human_g1k_v37/i },
+  { build: 'NCBI36', pattern: /ncbi36|hg18|\bb36\b/i },
+];
+
+/**
+ * Contig lengths that differ between builds (chromosomes carrying pharmacogenes)
+ */
+const CONTIG_LENGTHS = {
+  'chr1': { 248956422: 'GRCh38', 249250621: 'GRCh37' },
+  'chr2': { 242193529: 'GRCh38', 243199373: 'GRCh37' },
+  'chr6': { 170805979: 'GRCh38', 171115067: 'GRCh37' },
+  'chr7': { 159345973: 'GRCh38', 159138663: 'GRCh37' },
+  'chr10': { 133797422: 'GRCh38', 135534747: 'GRCh37' },
+  'chr12': { 133275309: 'GRCh38', 133851895: 'GRCh37' },
+  'chr13': { 114364328: 'GRCh38', 115169878: 'GRCh37' },
+  'chr16': { 90338345: 'GRCh38', 90354753: 'GRCh37' },
+  'chr19': { 58617616: 'GRCh38', 59128983: 'GRCh37' },
+  'chr22': { 50818468: 'GRCh38', 51304566: 'GRCh37' },
+  'chrX': { 156040895: 'GRCh38', 155270560: 'GRCh37' },
+};
+
+/**
+ * RefSeq accession versions → build (NC_000001.11 is GRCh38 chr1)
+ */
+const REFSEQ_VERSIONS = {
+  'chr1': { 11: 'GRCh38', 10: 'GRCh37' },
+  'chr2': { 12: 'GRCh38', 11: 'GRCh37' },
+  'chr6': { 12: 'GRCh38', 11: 'GRCh37' },
+  'chr7': { 14: 'GRCh38', 13: 'GRCh37' },
+  'chr10': { 11: 'GRCh38', 10: 'GRCh37' },
+  'chr12': { 12: 'GRCh38', 11: 'GRCh37' },
+  'chr13': { 11: 'GRCh38', 10: 'GRCh37' },
+  'chr16': { 10: 'GRCh38', 9: 'GRCh37' },
+  'chr19': { 10: 'GRCh38', 9: 'GRCh37' },
+  'chr22': { 11: 'GRCh38', 10: 'GRCh37' },
+  'chrX': { 11: 'GRCh38', 10: 'GRCh37' },
+};
+
+// ============================================================================
+// CONTIG NAMES
+// ============================================================================
+
+/**
+ * Normalize a contig name to UCSC style ("chr1", "chrX", "chrM")
+ * Accepts "1", "chr1", "CHR1", "MT" and RefSeq accessions (NC_000001.11).
+ * Non-primary contigs are returned unchanged.
+ * @param {string} contig - Contig name from CHROM or ##contig
+ * @returns {string} Normalized contig name
+ */
+function normalizeContig(contig) {
+  const name = String(contig || '').trim();
+
+  const refseq = name.match(/^NC_0000(\d{2})\.\d+$/i);
+  if (refseq) {
+    const number = parseInt(refseq[1], 10);
+    if (number === 23) return 'chrX';
+    if (number === 24) return 'chrY';
+    return `chr${number}`;
+  }
+
+  const bare = name.replace(/^chr/i, '');
+  if (/^(\d{1,2}|X|Y)$/i.test(bare)) {
+    return `chr${bare.toUpperCase()}`;
+  }
+  if (/^(M|MT)$/i.test(bare)) {
+    return 'chrM';
+  }
+
+  return name;
+}
+
+/**
+ * Parse a ##contig=<ID=...,length=...,assembly=...> meta line
+ * @param {string} line - Meta line
+ * @returns {object|null} { id, length, assembly }
+ */
+function parseContigLine(line) {
+  const match = line.match(/^##contig=<(.*)>\s*$/i);
+  if (!match) {
+    return null;
+  }
+
+  const contig = {};
+  for (const pair of match[1].split(',')) {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined) {
+      contig[key.trim().toLowerCase()] = value.trim();
+    }
+  }
+
+  return contig.id ? {
+    id: contig.id,
+    length: contig.length ? parseInt(contig.length, 10) : null,
+    assembly: contig.assembly || ''
+  } : null;
+}
+
+// ============================================================================
+// BUILD DETECTION
+// ============================================================================
+
+/**
+ * Match a reference/assembly string against known build names
+ * @param {string} value - e.g., "GRCh38.p13", "file:///refs/hg19.fa"
+ * @returns {string|null} Build name
+ */
+function matchBuildName(value) {
+  if (!value) {
+    return null;
+  }
+  const match = BUILD_PATTERNS.find(b => b.pattern.test(value));
+  return match ? match.build : null;
+}
+
+/**
+ * Detect the genome build from VCF meta information
+ *
+ * DETECTION ORDER:
+ * 1. ##reference line
+ * 2. ##contig assembly attribute
+ * 3. ##contig lengths / RefSeq accession versions of pharmacogene chromosomes
+ * 4. Nothing found → assume GRCh38 (flagged as assumed)
+ *
+ * @param {object} meta - { reference, contigs: [{ id, length, assembly }] }
+ * @returns {object} { build, source, assumed, supported }
+ */
+function detectGenomeBuild(meta = {}) {
+  const contigs = meta.contigs || [];
+  let build = matchBuildName(meta.reference);
+  let source = 'reference';
+
+  if (!build) {
+    const assembly = contigs.map(c => matchBuildName(c.assembly)).find(b => b);
+    if (assembly) {
+      build = assembly;
+      source = 'contig_assembly';
+    }
+  }
+
+  if (!build) {
+    for (const contig of contigs) {
+      const normalized = normalizeContig(contig.id);
+      const byLength = CONTIG_LENGTHS[normalized] && CONTIG_LENGTHS[normalized][contig.length];
+      const refseq = String(contig.id).match(/^NC_\d+\.(\d+)$/i);
+      const byRefseq = refseq && REFSEQ_VERSIONS[normalized] && REFSEQ_VERSIONS[normalized][refseq[1]];
+      if (byLength || byRefseq) {
+        build = byLength || byRefseq;
+        source = 'contig_length';
+        break;
+      }
+    }
+  }
+
+  if (!build) {
+    return { build: 'GRCh38', source: 'default', assumed: true, supported: true };
+  }
+
+  return { build, source, assumed: false, supported: SUPPORTED_BUILDS.includes(build) };
+}
+
+// ============================================================================
+// COORDINATE MAPPING
+// ============================================================================
+
+/**
+ * Map a position onto GRCh38 pharmacogene coordinates
+ *
+ * MAPPING RULES:
+ * - GRCh38 input is returned as-is
+ * - GRCh37 input inside a bundled pharmacogene locus is shifted by its offset
+ * - Anything else (other loci, unsupported builds) → null
+ *
+ * @param {string} chrom - Normalized contig name ("chr22")
+ * @param {number} pos - 1-based position in the input build
+ * @param {string} build - Input build
+ * @returns {number|null} GRCh38 position
+ */
+function toGRCh38Position(chrom, pos, build) {
+  if (!Number.isFinite(pos)) {
+    return null;
+  }
+  if (build === 'GRCh38') {
+    return pos;
+  }
+  if (build !== 'GRCh37') {
+    return null;
+  }
+
+  const region = PHARMACOGENE_REGIONS.find(r =>
+    r.chrom === chrom &&
+    pos - r.grch37Offset >= r.start &&
+    pos - r.grch37Offset <= r.end
+  );
+  return region ? pos - region.grch37Offset : null;
+}
+
+/**
+ * Map an interval (e.g., a structural variant from POS to END) onto GRCh38
+ * GRCh37 intervals are shifted by the offset of the pharmacogene locus they
+ * overlap, so events whose breakpoints lie outside the padded region still map.
+ * @param {string} chrom - Normalized contig name ("chr22")
+ * @param {number} start - 1-based start in the input build
+ * @param {number} end - 1-based end in the input build
+ * @param {string} build - Input build
+ * @returns {object|null} { start, end } in GRCh38
+ */
+function toGRCh38Interval(chrom, start, end, build) {
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    return null;
+  }
+  if (build === 'GRCh38') {
+    return { start, end };
+  }
+  if (build !== 'GRCh37') {
+    return null;
+  }
+
+  const region = PHARMACOGENE_REGIONS.find(r =>
+    r.chrom === chrom &&
+    start - r.grch37Offset <= r.end &&
+    end - r.grch37Offset >= r.start
+  );
+  return region
+    ? { start: start - region.grch37Offset, end: end - region.grch37Offset }
+    : null;
+}
+
+/**
+ * Find the pharmacogene region containing a GRCh38 position
+ * (or overlapping a GRCh38 interval when `end` is given)
+ * @param {string} chrom - Contig name ("chr10" or "10")
+ * @param {number} pos - 1-based GRCh38 position
+ * @param {number} end - 1-based GRCh38 end of the interval (defaults to pos)
+ * @returns {object|null} Matching region
+ */
+function findPharmacogeneRegion(chrom, pos, end = pos) {
+  const normalizedChrom = normalizeContig(chrom);
+  return PHARMACOGENE_REGIONS.find(r =>
+    r.chrom === normalizedChrom && pos <= r.end && end >= r.start
+  ) || null;
+}
+
+module.exports = {
+  normalizeContig,
+  parseContigLine,
+  detectGenomeBuild,
+  toGRCh38Position,
+  toGRCh38Interval,
+  findPharmacogeneRegion,
+  PHARMACOGENE_REGIONS,
+  SUPPORTED_BUILDS,
+};
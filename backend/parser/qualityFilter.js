@@ -0,0 +1,110 @@
+/**
+ * Variant Quality Filter Module
+ * Applies configurable quality gates (FILTER, QUAL, DP, GQ, allele balance)
+ * to per-sample variant calls before they are used for diplotyping
+ */
+
+/**
+ * Read a numeric threshold from an environment value
+ * @param {string} value - Raw environment value
+ * @param {number} defaultValue - Fallback when unset or invalid
+ * @returns {number} Threshold
+ */
+function readThreshold(value, defaultValue) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : defaultValue;
+}
+
+/**
+ * Quality thresholds (override via environment variables)
+ * - QC_REQUIRE_PASS: FILTER must be PASS (or "." = not filtered), default true
+ * - QC_MIN_QUAL: minimum site QUAL, default 20
+ * - QC_MIN_DP: minimum sample read depth, default 10
+ * - QC_MIN_GQ: minimum genotype quality, default 20
+ * - QC_MIN_HET_AB / QC_MAX_HET_AB: alt-read fraction window for het calls, default 0.2-0.8
+ * - QC_MIN_HOM_ALT_AB: minimum alt-read fraction for hom-alt calls, default 0.8
+ * - QC_MAX_HOM_REF_AB: maximum alt-read fraction for hom-ref calls, default 0.2
+ */
+const QUALITY_THRESHOLDS = {
+  requirePass: process.env.QC_REQUIRE_PASS !== 'false',
+  minQual: readThreshold(process.env.QC_MIN_QUAL, 20),
+  minDepth: readThreshold(process.env.QC_MIN_DP, 10),
+  minGenotypeQuality: readThreshold(process.env.QC_MIN_GQ, 20),
+  minHetAlleleBalance: readThreshold(process.env.QC_MIN_HET_AB, 0.2),
+  maxHetAlleleBalance: readThreshold(process.env.QC_MAX_HET_AB, 0.8),
+  minHomAltAlleleBalance: readThreshold(process.env.QC_MIN_HOM_ALT_AB, 0.8),
+  maxHomRefAlleleBalance: readThreshold(process.env.QC_MAX_HOM_REF_AB, 0.2),
+};
+
+/**
+ * Calculate the alternate-read fraction from AD
+ * @param {Array} allelicDepths - AD values (REF first, then each ALT)
+ * @returns {number|null} Alt fraction, or null if AD is missing/empty
+ */
+function calculateAlleleBalance(allelicDepths) {
+  if (!allelicDepths || allelicDepths.length < 2 || allelicDepths.some(d => d === null)) {
+    return null;
+  }
+
+  const total = allelicDepths.reduce((sum, d) => sum + d, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  const alt = allelicDepths.slice(1).reduce((sum, d) => sum + d, 0);
+  return alt / total;
+}
+
+/**
+ * Evaluate a variant call against the quality gates
+ *
+ * RULES:
+ * - FILTER must be PASS or "." (when requirePass)
+ * - QUAL, DP and GQ must meet their minimums (missing values are not penalized)
+ * - Allele balance from AD must fit the called zygosity
+ *
+ * @param {object} variant - Parsed variant (filter, qual, depth, genotype_quality, allelic_depths, zygosity)
+ * @param {object} thresholds - Quality thresholds
+ * @returns {object} { passed, reasons }
+ */
+function evaluateVariantQuality(variant, thresholds = QUALITY_THRESHOLDS) {
+  const reasons = [];
+
+  if (thresholds.requirePass && variant.filter && !['PASS', '.'].includes(variant.filter)) {
+    reasons.push(`FILTER=${variant.filter}`);
+  }
+
+  if (variant.qual !== null && variant.qual !== undefined && variant.qual < thresholds.minQual) {
+    reasons.push(`QUAL ${variant.qual} < ${thresholds.minQual}`);
+  }
+
+  if (variant.depth !== null && variant.depth !== undefined && variant.depth < thresholds.minDepth) {
+    reasons.push(`DP ${variant.depth} < ${thresholds.minDepth}`);
+  }
+
+  if (variant.genotype_quality !== null && variant.genotype_quality !== undefined &&
+      variant.genotype_quality < thresholds.minGenotypeQuality) {
+    reasons.push(`GQ ${variant.genotype_quality} < ${thresholds.minGenotypeQuality}`);
+  }
+
+  const balance = calculateAlleleBalance(variant.allelic_depths);
+  if (balance !== null) {
+    const rounded = balance.toFixed(2);
+    if (variant.zygosity === 'het' &&
+        (balance < thresholds.minHetAlleleBalance || balance > thresholds.maxHetAlleleBalance)) {
+      reasons.push(`Het allele balance ${rounded} outside ${thresholds.minHetAlleleBalance}-${thresholds.maxHetAlleleBalance}`);
+    } else if (variant.zygosity === 'hom_alt' && balance < thresholds.minHomAltAlleleBalance) {
+      reasons.push(`Hom-alt allele balance ${rounded} < ${thresholds.minHomAltAlleleBalance}`);
+    } else if (variant.zygosity === 'hom_ref' && balance > thresholds.maxHomRefAlleleBalance) {
+      reasons.push(`Hom-ref allele balance ${rounded} > ${thresholds.maxHomRefAlleleBalance}`);
+    }
+  }
+
+  return { passed: reasons.length === 0, reasons };
+}
+
+module.exports = {
+  evaluateVariantQuality,
+  calculateAlleleBalance,
+  QUALITY_THRESHOLDS,
+};
@@ -0,0 +1,111 @@
+/**
+ * Structural Variant Module
+ * Recognizes whole-gene deletions and duplications (symbolic <DEL>, <DUP>,
+ * <CNV> ALTs with SVTYPE/END/CN) and derives the per-sample gene copy number
+ *
+ * Copy number is what turns a CYP2D6 call into *5 (gene deletion) or xN
+ * (gene duplication) alleles during diplotyping.
+ */
+
+// ============================================================================
+// COPY-NUMBER GENES
+// Gene bodies (GRCh38) that must be fully covered by an event for it to count
+// as a whole-gene deletion/duplication. Partial overlaps (e.g., CYP2D6/CYP2D7
+// hybrids) are kept as records but do not change the copy number.
+// ============================================================================
+
+const CNV_GENES = {
+  'CYP2D6': { chrom: 'chr22', start: 42126499, end: 42130865 },
+};
+
+// Structural variant types that change copy number
+const SV_TYPES = ['DEL', 'DUP', 'CNV'];
+
+// Symbolic ALT alleles: <DEL>, <DUP>, <DUP:TANDEM>, <CNV>, <DEL:ME:ALU>, ...
+const SYMBOLIC_SV = /^<([A-Z]+)(?::[^>]*)?>$/i;
+
+/**
+ * Recognize a copy-number structural variant from ALT and INFO
+ * @param {string} alt - ALT allele (e.g., "<DEL>")
+ * @param {object} parsedInfo - Parsed INFO fields (svtype, end, svlen)
+ * @param {number} pos - 1-based POS
+ * @returns {object|null} { svType, end } or null if not a DEL/DUP/CNV
+ */
+function parseStructuralVariant(alt, parsedInfo, pos) {
+  const symbolic = String(alt || '').match(SYMBOLIC_SV);
+  if (!symbolic) {
+    return null;
+  }
+
+  const svType = (parsedInfo.svtype || symbolic[1]).toUpperCase();
+  if (!SV_TYPES.includes(svType)) {
+    return null;
+  }
+
+  const svLength = Math.abs(parseInt(parsedInfo.svlen, 10));
+  let end = parseInt(parsedInfo.end, 10);
+  if (!Number.isFinite(end)) {
+    end = Number.isFinite(svLength) ? pos + svLength : pos;
+  }
+
+  return { svType, end };
+}
+
+/**
+ * Check whether an event spans the whole body of a copy-number gene
+ * @param {string} gene - Gene symbol
+ * @param {string} chrom - Normalized contig name
+ * @param {number} start - GRCh38 start of the event
+ * @param {number} end - GRCh38 end of the event
+ * @returns {boolean} Whether the gene is fully covered
+ */
+function coversGene(gene, chrom, start, end) {
+  const body = CNV_GENES[gene];
+  return Boolean(body) &&
+    body.chrom === chrom &&
+    Number.isFinite(start) && Number.isFinite(end) &&
+    start <= body.start && end >= body.end;
+}
+
+/**
+ * Derive the total gene copy number for one sample
+ *
+ * COPY NUMBER RULES:
+ * - FORMAT CN wins, then INFO CN
+ * - DEL: 2 minus the deleted copies (0/1 → 1, 1/1 → 0)
+ * - DUP: 2 plus the duplicated copies (0/1 → 3, 1/1 → 4)
+ * - Sites-only records count as one event (DEL → 1, DUP → 3)
+ * - CNV without CN, or a no-call → null (unknown)
+ *
+ * @param {string} svType - "DEL", "DUP" or "CNV"
+ * @param {object} genotype - { copy_number (FORMAT CN), zygosity, allele_dosage }
+ * @param {object} parsedInfo - Parsed INFO fields (cn)
+ * @returns {number|null} Copy number
+ */
+function getCopyNumber(svType, genotype, parsedInfo) {
+  if (genotype.copy_number !== null && genotype.copy_number !== undefined) {
+    return genotype.copy_number;
+  }
+
+  const infoCopyNumber = parseInt(parsedInfo.cn, 10);
+  if (Number.isFinite(infoCopyNumber)) {
+    return infoCopyNumber;
+  }
+
+  if (genotype.zygosity === 'no_call' || svType === 'CNV') {
+    return null;
+  }
+
+  const events = genotype.allele_dosage === null || genotype.allele_dosage === undefined
+    ? 1
+    : genotype.allele_dosage;
+  return svType === 'DEL' ? Math.max(0, 2 - events) : 2 + events;
+}
+
+module.exports = {
+  parseStructuralVariant,
+  coversGene,
+  getCopyNumber,
+  CNV_GENES,
+  SV_TYPES,
+};
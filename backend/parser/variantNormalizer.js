@@ -0,0 +1,175 @@
+/**
+ * Variant Normalizer Module
+ * Decomposes multi-allelic VCF records into biallelic records and trims
+ * REF/ALT to a minimal, left-aligned representation before allele matching
+ *
+ * Different callers write the same variant differently (padded MNPs,
+ * right-shifted indels, "A  G,T" multi-allelic sites). Normalizing first means
+ * the representation never changes which star allele a record matches.
+ */
+
+// ALT values that are not sequence and are never trimmed
+const SYMBOLIC_ALLELE = /^<.*>$|[[\]]|^\*$|^\.$/;
+
+// gVCF "any other allele" placeholders (GATK, bcftools)
+const NON_REF_ALLELES = ['<NON_REF>', '<*>'];
+
+/**
+ * Split the ALT column into alternate alleles
+ * @param {string} alt - ALT column (e.g., "G,T")
+ * @returns {Array} Alternate alleles in allele-index order (ALT 1 first)
+ */
+function splitAlternateAlleles(alt) {
+  if (!alt) {
+    return ['.'];
+  }
+  return alt.split(',').map(a => a.trim());
+}
+
+/**
+ * Check whether an ALT allele is a gVCF non-reference placeholder
+ * @param {string} alt - ALT allele
+ * @returns {boolean} Whether the allele is <NON_REF> or <*>
+ */
+function isNonRefAllele(alt) {
+  return NON_REF_ALLELES.includes(String(alt || '').toUpperCase());
+}
+
+/**
+ * Trim REF/ALT to their minimal left-aligned form
+ *
+ * NORMALIZATION RULES:
+ * - Common trailing bases are trimmed first (shifts indels left within REF)
+ * - Then common leading bases are trimmed, advancing POS
+ * - At least one base is always kept on each allele (VCF padding base)
+ * - Symbolic, breakend, "*" and "." alleles are returned unchanged
+ * - Only the bases present in REF are used; no reference genome is consulted,
+ *   so an indel is left-aligned as far as the record's own REF allows
+ *
+ * Example: POS 100, CAGAG → CAG  becomes  POS 100, CAG → C
+ *
+ * @param {number} pos - 1-based position
+ * @param {string} ref - Reference allele
+ * @param {string} alt - Alternate allele
+ * @returns {object} { pos, ref, alt }
+ */
+function normalizeAlleles(pos, ref, alt) {
+  let normalizedRef = String(ref || '').toUpperCase();
+  let normalizedAlt = String(alt || '').toUpperCase();
+  let normalizedPos = pos;
+
+  if (!normalizedRef || SYMBOLIC_ALLELE.test(normalizedAlt) || !Number.isFinite(pos)) {
+    return { pos, ref: normalizedRef, alt: normalizedAlt };
+  }
+
+  // Trim shared suffix (keep one base on each allele)
+  while (normalizedRef.length > 1 && normalizedAlt.length > 1 &&
+         normalizedRef[normalizedRef.length - 1] === normalizedAlt[normalizedAlt.length - 1]) {
+    normalizedRef = normalizedRef.slice(0, -1);
+    normalizedAlt = normalizedAlt.slice(0, -1);
+  }
+
+  // Trim shared prefix (keep one base on each allele)
+  while (normalizedRef.length > 1 && normalizedAlt.length > 1 && normalizedRef[0] === normalizedAlt[0]) {
+    normalizedRef = normalizedRef.slice(1);
+    normalizedAlt = normalizedAlt.slice(1);
+    normalizedPos++;
+  }
+
+  return { pos: normalizedPos, ref: normalizedRef, alt: normalizedAlt };
+}
+
+/**
+ * Pick the value for one ALT allele from a per-allele (Number=A) INFO value
+ * Values whose comma count does not match the ALT count are shared by all
+ * decomposed records (e.g., GENE=CYP2C19 on a G,T site).
+ * @param {string} value - Raw INFO value (e.g., "*2,*3")
+ * @param {number} altCount - Number of ALT alleles at the site
+ * @param {number} altIndex - 1-based ALT allele index
+ * @returns {string} Value for this allele
+ */
+function selectAlleleValue(value, altCount, altIndex) {
+  if (!value || altCount < 2) {
+    return value;
+  }
+  const values = value.split(',');
+  return values.length === altCount ? values[altIndex - 1] : value;
+}
+
+/**
+ * Re-code a GT for one ALT allele of a multi-allelic site
+ *
+ * GENOTYPE RULES:
+ * - The selected ALT becomes allele 1
+ * - REF and every other ALT become allele 0 (this record's reference)
+ * - Missing alleles stay "." and the phase separator is preserved
+ *
+ * Example: "1/2" → "0/1" for ALT 2, "0/1" for ALT 1
+ *
+ * @param {string} gt - GT value
+ * @param {number} altIndex - 1-based ALT allele index
+ * @returns {string} Re-coded GT
+ */
+function projectGenotype(gt, altIndex) {
+  if (!gt) {
+    return gt;
+  }
+
+  return gt.replace(/[^/|]+/g, (allele) => {
+    if (allele === '.') {
+      return allele;
+    }
+    return parseInt(allele, 10) === altIndex ? '1' : '0';
+  });
+}
+
+/**
+ * Re-code decoded FORMAT values for one ALT allele of a multi-allelic site
+ * - GT is re-coded with projectGenotype
+ * - AD becomes [reads for all other alleles, reads for the selected ALT]
+ *   so allele balance reflects this allele against everything else
+ * - PL keeps the 0/0, 0/A, A/A likelihoods of the selected ALT (diploid)
+ * @param {object} sampleData - Values from parseFORMAT
+ * @param {number} altIndex - 1-based ALT allele index
+ * @returns {object} Values for the biallelic record
+ */
+function projectSampleData(sampleData, altIndex) {
+  const projected = { ...sampleData };
+
+  if (sampleData.gt) {
+    projected.gt = projectGenotype(sampleData.gt, altIndex);
+  }
+
+  if (sampleData.ad && sampleData.ad.length > altIndex && !sampleData.ad.some(d => d === null)) {
+    const total = sampleData.ad.reduce((sum, d) => sum + d, 0);
+    projected.ad = [total - sampleData.ad[altIndex], sampleData.ad[altIndex]];
+  }
+
+  if (sampleData.pl) {
+    const indices = [0, likelihoodIndex(0, altIndex), likelihoodIndex(altIndex, altIndex)];
+    projected.pl = indices.every(i => i < sampleData.pl.length)
+      ? indices.map(i => sampleData.pl[i])
+      : [];
+  }
+
+  return projected;
+}
+
+/**
+ * Index of diploid genotype j/k (j <= k) in a PL/GL array (VCF spec ordering)
+ * @param {number} j - First allele index
+ * @param {number} k - Second allele index
+ * @returns {number} Array index
+ */
+function likelihoodIndex(j, k) {
+  return (k * (k + 1)) / 2 + j;
+}
+
+module.exports = {
+  splitAlternateAlleles,
+  isNonRefAllele,
+  normalizeAlleles,
+  selectAlleleValue,
+  projectGenotype,
+  projectSampleData,
+};
@@ -3,85 +3,446 @@
  * Parses Variant Call Format (VCF) v4.2 files and extracts pharmacogenomic variants
  */
 
+const { readVCFLines } = require('./vcfReader');
+const { findAlleleDefinition, findAlleleDefinitionsInInterval } = require('../services/alleleDefinitions');
+const { evaluateVariantQuality } = require('./qualityFilter');
+const { validateVCF } = require('./vcfValidator');
+const {
+  splitAlternateAlleles,
+  isNonRefAllele,
+  normalizeAlleles,
+  selectAlleleValue,
+  projectSampleData
+} = require('./variantNormalizer');
+const {
+  normalizeContig,
+  parseContigLine,
+  detectGenomeBuild,
+  toGRCh38Position,
+  toGRCh38Interval,
+  findPharmacogeneRegion,
+  PHARMACOGENE_REGIONS
+} = require('./genomeBuild');
+const { parseStructuralVariant, coversGene, getCopyNumber } = require('./structuralVariants');
+
 // Target genes for pharmacogenomic analysis
-const TARGET_GENES = ['CYP2D6', 'CYP2C19', 'CYP2C9', 'SLCO1B1', 'TPMT', 'DPYD'];
+const TARGET_GENES = ['CYP2D6', 'CYP2C19', 'CYP2C9', 'CYP2B6', 'SLCO1B1', 'TPMT', 'DPYD', 'NUDT15', 'CYP3A5', 'UGT1A1', 'HLA-A', 'HLA-B', 'VKORC1', 'CYP4F2', 'G6PD'];
 
 /**
  * Parse VCF file content and extract pharmacogenomic variants
+ * 
+ * Every column after FORMAT is treated as a sample. Variants are returned
+ * per sample in `geneVariantsBySample`; `variants`/`geneVariants` hold the
+ * first sample for single-patient callers. Sites-only VCFs (no FORMAT column)
+ * produce one unnamed bucket with genotype fields left unknown.
+ * 
  * @param {string} vcfContent - Raw VCF file content
- * @returns {object} Parsed variants grouped by gene
+ * @returns {object} Parsed variants grouped by sample and gene
  */
 function parseVCF(vcfContent) {
-  const lines = vcfContent.split('\n');
-  const variants = [];
-  const geneVariants = {};
-  let headerFound = false;
-  let columnIndices = {};
-
-  for (const line of lines) {
-    // Skip metadata lines (starting with ##)
-    if (line.startsWith('##')) {
-      continue;
-    }
+  const state = createParseState();
 
-    // Parse header line (starting with #CHROM)
-    if (line.startsWith('#CHROM')) {
-      headerFound = true;
-      const headers = line.substring(1).split('\t');
-      headers.forEach((header, index) => {
-        columnIndices[header.toUpperCase()] = index;
-      });
-      continue;
-    }
+  for (const line of vcfContent.split('\n')) {
+    parseLine(state, line);
+  }
+
+  return buildParseResult(state);
+}
+
+/**
+ * Parse a VCF from any line source (readline interface, async generator)
+ * Lines are processed one at a time; only pharmacogene records are retained.
+ * @param {AsyncIterable<string>} lines - VCF lines
+ * @returns {Promise<object>} Same shape as parseVCF
+ */
+async function parseVCFStream(lines) {
+  const state = createParseState();
+
+  for await (const line of lines) {
+    parseLine(state, line);
+  }
+
+  return buildParseResult(state);
+}
+
+/**
+ * Stream-parse a VCF file from disk (plain, gzip or BGZF)
+ * Read and decompression errors are returned as { success: false, error }.
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<object>} Same shape as parseVCF
+ */
+async function parseVCFFile(filePath) {
+  try {
+    return await parseVCFStream(readVCFLines(filePath));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create the mutable state shared by the line-by-line parser
+ * @returns {object} Parser state
+ */
+function createParseState() {
+  return {
+    variantsBySample: {},
+    geneVariantsBySample: {},
+    headerFound: false,
+    columnIndices: {},
+    samples: [],
+    meta: { reference: '', contigs: [] },
+    genomeBuild: null,
+    referenceBlocks: 0,
+    totalRecords: 0,
+    totalLines: 0
+  };
+}
+
+/**
+ * Process one VCF line into the parser state
+ * @param {object} state - Parser state from createParseState
+ * @param {string} rawLine - One line of the VCF (line endings are stripped)
+ */
+function parseLine(state, rawLine) {
+  const line = rawLine.replace(/\r$/, '');
+  state.totalLines++;
+
+  // Metadata lines (starting with ##): keep only what build detection needs
+  if (line.startsWith('##')) {
+    parseMetaLine(state, line);
+    return;
+  }
+
+  // Parse header line (starting with #CHROM)
+  if (line.startsWith('#CHROM')) {
+    state.headerFound = true;
+    const headers = line.trim().substring(1).split('\t');
+    headers.forEach((header, index) => {
+      state.columnIndices[header.toUpperCase()] = index;
+    });
+    state.samples = getSampleIds(headers, state.columnIndices);
+    state.genomeBuild = detectGenomeBuild(state.meta);
+    return;
+  }
+
+  // Skip empty lines and records before the header
+  if (!line.trim() || !state.headerFound) {
+    return;
+  }
+
+  // Parse variant rows (tab-separated)
+  const { columnIndices } = state;
+  const fields = line.trim().split('\t');
+  const infoIndex = columnIndices['INFO'];
+
+  if (infoIndex === undefined || fields.length <= infoIndex) {
+    return;
+  }
 
-    // Skip empty lines
-    if (!line.trim()) {
-      continue;
+  const parsedInfo = parseINFO(fields[infoIndex]);
+  const alts = splitAlternateAlleles(fields[columnIndices['ALT']]);
+
+  // gVCF reference blocks (ALT is only <NON_REF>/<*>) stand for POS..END
+  if (alts.every(isNonRefAllele)) {
+    parseReferenceBlock(state, fields, parsedInfo);
+    return;
+  }
+
+  // Multi-allelic sites are decomposed into one biallelic record per ALT;
+  // spanning-deletion placeholders ("*") and gVCF <NON_REF> alleles carry
+  // no variant of their own
+  alts.forEach((alt, index) => {
+    if (alt !== '*' && !isNonRefAllele(alt)) {
+      parseAlleleRecord(state, fields, parsedInfo, alts, index + 1);
     }
+  });
+}
 
-    // Parse variant rows (tab-separated)
-    if (headerFound) {
-      const fields = line.split('\t');
-      const infoIndex = columnIndices['INFO'];
-      
-      if (infoIndex === undefined || fields.length <= infoIndex) {
-        continue;
-      }
+/**
+ * Expand a gVCF reference block onto the allele-defining positions it covers
+ *
+ * REFERENCE BLOCK RULES:
+ * - The block spans POS..END (INFO END; a block without END covers POS only)
+ * - One reference record is emitted per built-in defining site inside the
+ *   block, at that site's REF/ALT and rsID, carrying the block's GT/DP/GQ
+ * - MIN_DP, when present, is used as the depth (the block's weakest position)
+ * - A block without GQ fails quality: reference confidence cannot be shown
+ * - Blocks covering no defining site are dropped
+ *
+ * The emitted records go through the same quality gates as variant calls, so
+ * a low-GQ or low-depth block leaves its sites filtered rather than *1.
+ *
+ * @param {object} state - Parser state
+ * @param {Array} fields - Tab-separated record columns
+ * @param {object} parsedInfo - Parsed INFO fields (end)
+ */
+function parseReferenceBlock(state, fields, parsedInfo) {
+  const { columnIndices, samples } = state;
+  const chrom = normalizeContig(fields[columnIndices['CHROM']] || '');
+  const start = parseInt(fields[columnIndices['POS']], 10);
+  const blockEnd = parseInt(parsedInfo.end, 10);
+  const end = Number.isFinite(blockEnd) && blockEnd >= start ? blockEnd : start;
+  state.referenceBlocks++;
+
+  const interval = toGRCh38Interval(chrom, start, end, state.genomeBuild.build);
+  if (!interval) {
+    return;
+  }
+
+  const formatIndex = columnIndices['FORMAT'];
+  const sampleKeys = samples.length > 0 ? samples : [null];
+  const definitions = findAlleleDefinitionsInInterval(chrom, interval.start, interval.end)
+    .filter(d => TARGET_GENES.includes(d.gene));
 
-      const info = fields[infoIndex];
-      const parsedInfo = parseINFO(info);
-
-      // Only process variants for target genes
-      if (parsedInfo.gene && TARGET_GENES.includes(parsedInfo.gene.toUpperCase())) {
-        const variant = {
-          chrom: fields[columnIndices['CHROM']] || '',
-          pos: fields[columnIndices['POS']] || '',
-          id: fields[columnIndices['ID']] || '.',
-          ref: fields[columnIndices['REF']] || '',
-          alt: fields[columnIndices['ALT']] || '',
-          gene_symbol: parsedInfo.gene.toUpperCase(),
-          rsid: parsedInfo.rs || parsedInfo.rsid || fields[columnIndices['ID']] || '',
-          star_allele: parsedInfo.star || ''
-        };
-
-        variants.push(variant);
-
-        // Group by gene
-        if (!geneVariants[variant.gene_symbol]) {
-          geneVariants[variant.gene_symbol] = [];
-        }
-        geneVariants[variant.gene_symbol].push(variant);
+  for (const definition of definitions) {
+    const record = {
+      chrom: chrom,
+      pos: String(start + (definition.pos - interval.start)),
+      pos_grch38: definition.pos,
+      id: definition.rsid,
+      ref: definition.ref,
+      alt: definition.alt,
+      alt_index: 1,
+      qual: parseNumber(fields[columnIndices['QUAL']] || '.'),
+      filter: fields[columnIndices['FILTER']] || '.',
+      gene_symbol: definition.gene,
+      rsid: definition.rsid,
+      star_allele: definition.allele,
+      allele_source: 'definition',
+      reference_block: true
+    };
+    state.totalRecords++;
+
+    sampleKeys.forEach((sampleId, sampleIndex) => {
+      const format = sampleId !== null ? fields[formatIndex] : undefined;
+      const sampleColumn = sampleId !== null ? fields[formatIndex + 1 + sampleIndex] : undefined;
+      const minDepth = parseNumber(parseFORMAT(format, sampleColumn).min_dp ?? '.');
+      const variant = {
+        ...record,
+        sample_id: sampleId,
+        ...buildGenotypeFields(format, sampleColumn)
+      };
+      if (minDepth !== null) {
+        variant.depth = minDepth;
+      }
+      const quality = evaluateVariantQuality(variant);
+      if (sampleId !== null && variant.genotype_quality === null) {
+        quality.passed = false;
+        quality.reasons.push('Reference block without GQ');
       }
+      variant.quality_passed = quality.passed;
+      variant.quality_flags = quality.reasons;
+      addVariant(state.variantsBySample, state.geneVariantsBySample, sampleId, variant);
+    });
+  }
+}
+
+/**
+ * Build the normalized biallelic record for one ALT allele of a VCF line
+ * and add it to every sample
+ * @param {object} state - Parser state
+ * @param {Array} fields - Tab-separated record columns
+ * @param {object} siteInfo - Parsed INFO fields of the whole site
+ * @param {Array} alts - ALT alleles of the site
+ * @param {number} altIndex - 1-based ALT allele index
+ */
+function parseAlleleRecord(state, fields, siteInfo, alts, altIndex) {
+  const { columnIndices, samples } = state;
+  const altCount = alts.length;
+  const chrom = normalizeContig(fields[columnIndices['CHROM']] || '');
+  const normalized = normalizeAlleles(
+    parseInt(fields[columnIndices['POS']], 10),
+    fields[columnIndices['REF']] || '',
+    alts[altIndex - 1]
+  );
+  const parsedInfo = {
+    ...siteInfo,
+    star: selectAlleleValue(siteInfo.star, altCount, altIndex),
+    rs: selectAlleleValue(siteInfo.rs, altCount, altIndex),
+    rsid: selectAlleleValue(siteInfo.rsid, altCount, altIndex)
+  };
+  const structural = parseStructuralVariant(normalized.alt, parsedInfo, normalized.pos);
+  const interval = structural
+    ? toGRCh38Interval(chrom, normalized.pos, structural.end, state.genomeBuild.build)
+    : null;
+  const record = {
+    chrom: chrom,
+    pos: Number.isFinite(normalized.pos) ? String(normalized.pos) : (fields[columnIndices['POS']] || ''),
+    pos_grch38: structural
+      ? (interval ? interval.start : null)
+      : toGRCh38Position(chrom, normalized.pos, state.genomeBuild.build),
+    id: fields[columnIndices['ID']] || '.',
+    ref: normalized.ref,
+    alt: normalized.alt,
+    alt_index: altIndex,
+    qual: parseNumber(fields[columnIndices['QUAL']] || '.'),
+    filter: fields[columnIndices['FILTER']] || '.'
+  };
+
+  // Deletions/duplications span an interval (POS..END)
+  if (structural) {
+    record.sv_type = structural.svType;
+    record.sv_end = interval ? interval.end : null;
+  }
+
+  // Un-annotated records (no GENE=/STAR=) are called from the built-in allele
+  // definitions, keyed on GRCh38 coordinates (rsID still matches when unmappable)
+  const definition = parsedInfo.star
+    ? null
+    : findAlleleDefinition({ ...record, pos: record.pos_grch38 });
+  const gene = getTargetGene(parsedInfo, record, definition);
+
+  // Only process variants for target genes
+  if (!gene) {
+    return;
+  }
+
+  record.gene_symbol = gene;
+  record.rsid = parsedInfo.rs || parsedInfo.rsid || (record.id !== '.' ? record.id : '') || (definition ? definition.rsid : '');
+  record.star_allele = parsedInfo.star || (definition && definition.gene === gene ? definition.allele : '');
+  record.allele_source = parsedInfo.star ? 'info' : (record.star_allele ? 'definition' : 'none');
+  if (structural) {
+    record.whole_gene = coversGene(gene, chrom, record.pos_grch38, record.sv_end);
+  }
+  state.totalRecords++;
+
+  const formatIndex = columnIndices['FORMAT'];
+  const sampleKeys = samples.length > 0 ? samples : [null];
+
+  sampleKeys.forEach((sampleId, sampleIndex) => {
+    const sampleColumn = sampleId !== null ? fields[formatIndex + 1 + sampleIndex] : undefined;
+    const variant = {
+      ...record,
+      sample_id: sampleId,
+      ...buildGenotypeFields(sampleId !== null ? fields[formatIndex] : undefined, sampleColumn, altCount > 1 ? altIndex : null)
+    };
+    if (structural) {
+      variant.copy_number = getCopyNumber(structural.svType, variant, parsedInfo);
     }
+    const quality = evaluateVariantQuality(variant);
+    variant.quality_passed = quality.passed;
+    variant.quality_flags = quality.reasons;
+    addVariant(state.variantsBySample, state.geneVariantsBySample, sampleId, variant);
+  });
+}
+
+/**
+ * Build the public parse result from the parser state
+ * @param {object} state - Parser state
+ * @returns {object} Parsed variants grouped by sample and gene
+ */
+function buildParseResult(state) {
+  const { variantsBySample, geneVariantsBySample, samples } = state;
+  const primarySample = samples.length > 0 ? samples[0] : null;
+  const variants = variantsBySample[primarySample] || [];
+  const geneVariants = geneVariantsBySample[primarySample] || {};
+
+  // Sites-only records have no named sample to key them by
+  if (primarySample === null) {
+    delete variantsBySample[primarySample];
+    delete geneVariantsBySample[primarySample];
   }
 
-  return {
-    success: headerFound,
-    totalVariants: variants.length,
+  const result = {
+    success: state.headerFound,
+    inputFormat: state.referenceBlocks > 0 ? 'gvcf' : 'vcf',
+    caveats: [],
+    genomeBuild: state.genomeBuild || detectGenomeBuild(state.meta),
+    totalVariants: state.totalRecords,
+    totalLines: state.totalLines,
+    samples: samples,
     variants: variants,
     geneVariants: geneVariants,
+    variantsBySample: variantsBySample,
+    geneVariantsBySample: geneVariantsBySample,
     targetGenes: TARGET_GENES
   };
+
+  if (!state.headerFound) {
+    result.error = 'Missing VCF header line (#CHROM)';
+  }
+
+  return result;
+}
+
+/**
+ * Resolve the target gene for a record
+ * Priority: GENE= INFO annotation → matched allele definition → pharmacogene region
+ * (structural variants match any region their POS..END interval overlaps)
+ * @param {object} parsedInfo - Parsed INFO fields
+ * @param {object} record - Record with chrom and pos (and sv_end for SVs)
+ * @param {object|null} definition - Matched allele definition
+ * @returns {string|null} Gene symbol or null if outside all target genes
+ */
+function getTargetGene(parsedInfo, record, definition) {
+  if (parsedInfo.gene) {
+    const gene = parsedInfo.gene.toUpperCase();
+    return TARGET_GENES.includes(gene) ? gene : null;
+  }
+
+  if (definition) {
+    return definition.gene;
+  }
+
+  const region = record.pos_grch38 !== null
+    ? findPharmacogeneRegion(record.chrom, record.pos_grch38, record.sv_end || record.pos_grch38)
+    : null;
+  return region ? region.gene : null;
+}
+
+/**
+ * Capture meta information used for genome build detection
+ * @param {object} state - Parser state
+ * @param {string} line - Meta line (starting with ##)
+ */
+function parseMetaLine(state, line) {
+  if (/^##reference=/i.test(line)) {
+    state.meta.reference = line.substring(line.indexOf('=') + 1).trim();
+    return;
+  }
+
+  if (/^##contig=/i.test(line)) {
+    const contig = parseContigLine(line);
+    if (contig) {
+      state.meta.contigs.push(contig);
+    }
+  }
+}
+
+/**
+ * Get sample IDs from the #CHROM header (every column after FORMAT)
+ * @param {Array} headers - Header columns (without the leading '#')
+ * @param {object} columnIndices - Header column positions
+ * @returns {Array} Sample IDs in file order
+ */
+function getSampleIds(headers, columnIndices) {
+  const formatIndex = columnIndices['FORMAT'];
+  if (formatIndex === undefined) {
+    return [];
+  }
+  return headers.slice(formatIndex + 1).map(h => h.trim()).filter(h => h);
+}
+
+/**
+ * Add a variant to the per-sample variant list and gene grouping
+ * @param {object} variantsBySample - Sample → variant list
+ * @param {object} geneVariantsBySample - Sample → gene → variant list
+ * @param {string|null} sampleId - Sample ID (null for sites-only VCFs)
+ * @param {object} variant - Parsed variant
+ */
+function addVariant(variantsBySample, geneVariantsBySample, sampleId, variant) {
+  if (!variantsBySample[sampleId]) {
+    variantsBySample[sampleId] = [];
+    geneVariantsBySample[sampleId] = {};
+  }
+  variantsBySample[sampleId].push(variant);
+
+  // Group by gene
+  const geneVariants = geneVariantsBySample[sampleId];
+  if (!geneVariants[variant.gene_symbol]) {
+    geneVariants[variant.gene_symbol] = [];
+  }
+  geneVariants[variant.gene_symbol].push(variant);
 }
 
 /**
@@ -110,39 +471,138 @@ function parseINFO(info) {
 }
 
 /**
- * Validate VCF file content
- * @param {string} vcfContent - Raw VCF file content
- * @returns {object} Validation result
+ * Parse FORMAT keys and the matching sample column
+ * Example: GT:DP:GQ:AD:PL + 0/1:64:99:32,32:960,0,960
+ * @param {string} format - FORMAT field string
+ * @param {string} sample - Sample column string
+ * @returns {object} Decoded per-sample values (gt, dp, gq, ps, cn, ad, pl)
  */
-function validateVCF(vcfContent) {
-  if (!vcfContent || typeof vcfContent !== 'string') {
-    return { valid: false, error: 'Empty or invalid file content' };
+function parseFORMAT(format, sample) {
+  const result = {};
+
+  if (!format || !sample || format === '.') {
+    return result;
   }
 
-  const lines = vcfContent.split('\n');
-  let hasMetadata = false;
-  let hasHeader = false;
+  const keys = format.split(':');
+  const values = sample.split(':');
 
-  for (const line of lines) {
-    if (line.startsWith('##')) {
-      hasMetadata = true;
+  keys.forEach((key, index) => {
+    const value = values[index];
+    if (value === undefined || value === '' || value === '.') {
+      return;
     }
-    if (line.startsWith('#CHROM')) {
-      hasHeader = true;
-      break;
+
+    const normalizedKey = key.toLowerCase();
+    switch (normalizedKey) {
+      case 'dp':
+      case 'gq':
+      case 'ps':
+      case 'cn':
+        result[normalizedKey] = parseNumber(value);
+        break;
+      case 'ad':
+      case 'pl':
+        result[normalizedKey] = value.split(',').map(parseNumber);
+        break;
+      default:
+        result[normalizedKey] = value;
     }
+  });
+
+  return result;
+}
+
+/**
+ * Parse a numeric FORMAT value ('.' and non-numeric become null)
+ * @param {string} value - Raw value
+ * @returns {number|null} Parsed number
+ */
+function parseNumber(value) {
+  const number = Number(value);
+  return value === '.' || Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Interpret a GT string into zygosity and alternate allele dosage
+ *
+ * GENOTYPE RULES:
+ * - "0/0" → hom_ref, dosage 0
+ * - "0/1" → het, dosage 1
+ * - "1/1" → hom_alt, dosage 2
+ * - "./." or "." → no_call, dosage null
+ * - "1" (haploid) → hemizygous, dosage 1
+ *
+ * @param {string} gt - GT value (e.g., "0/1", "1|1")
+ * @returns {object} Genotype interpretation
+ */
+function parseGenotype(gt) {
+  if (!gt) {
+    return { alleles: [], phased: false, zygosity: 'unknown', dosage: null };
+  }
+
+  const phased = gt.includes('|');
+  const alleles = gt.split(/[/|]/).map(a => (a === '.' ? null : parseInt(a, 10)));
+
+  if (alleles.some(a => a === null || Number.isNaN(a))) {
+    return { alleles, phased, zygosity: 'no_call', dosage: null };
   }
 
-  if (!hasHeader) {
-    return { valid: false, error: 'Missing VCF header line (#CHROM)' };
+  const dosage = alleles.filter(a => a > 0).length;
+  let zygosity;
+
+  if (alleles.length === 1) {
+    zygosity = dosage === 0 ? 'hemizygous_ref' : 'hemizygous';
+  } else if (dosage === 0) {
+    zygosity = 'hom_ref';
+  } else if (dosage === alleles.length && new Set(alleles).size === 1) {
+    zygosity = 'hom_alt';
+  } else {
+    zygosity = 'het';
   }
 
-  return { valid: true };
+  return { alleles, phased, zygosity, dosage };
+}
+
+/**
+ * Build per-variant genotype fields from the FORMAT and a sample column
+ * Sites-only VCFs (no sample column) get zygosity "unknown" and a null dosage.
+ * @param {string} format - FORMAT field string
+ * @param {string} sampleColumn - Sample column string
+ * @param {number|null} altIndex - ALT allele to project onto for multi-allelic sites
+ * @returns {object} Genotype fields to attach to the variant
+ */
+function buildGenotypeFields(format, sampleColumn, altIndex = null) {
+  const parsedSample = parseFORMAT(format, sampleColumn);
+  const sampleData = altIndex ? projectSampleData(parsedSample, altIndex) : parsedSample;
+  const genotype = parseGenotype(sampleData.gt);
+
+  return {
+    genotype: sampleData.gt || '',
+    zygosity: genotype.zygosity,
+    allele_dosage: genotype.dosage,
+    phased: genotype.phased,
+    gt_alleles: genotype.alleles,
+    phase_set: sampleData.ps ?? null,
+    copy_number: sampleData.cn ?? null,
+    depth: sampleData.dp ?? null,
+    genotype_quality: sampleData.gq ?? null,
+    allelic_depths: sampleData.ad || [],
+    genotype_likelihoods: sampleData.pl || []
+  };
 }
 
 module.exports = {
   parseVCF,
+  parseVCFStream,
+  parseVCFFile,
+  findPharmacogeneRegion,
   parseINFO,
+  parseFORMAT,
+  parseGenotype,
+  normalizeContig,
+  normalizeAlleles,
   validateVCF,
-  TARGET_GENES
+  TARGET_GENES,
+  PHARMACOGENE_REGIONS
 };
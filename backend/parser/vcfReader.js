@@ -0,0 +1,181 @@
+/**
+ * VCF Reader Module
+ * Streams an uploaded VCF from disk line by line, transparently handling
+ * gzip and BGZF (bgzip) compressed uploads with bounded memory
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Transform, pipeline } = require('stream');
+
+const MEGABYTE = 1024 * 1024;
+
+// Upload size limit (compressed bytes as received), configurable via MAX_UPLOAD_MB
+const MAX_UPLOAD_BYTES = readMegabytes(process.env.MAX_UPLOAD_MB, 512);
+
+// Decompressed size limit for gzip/BGZF uploads, configurable via MAX_DECOMPRESSED_MB
+const MAX_DECOMPRESSED_BYTES = readMegabytes(process.env.MAX_DECOMPRESSED_MB, 8192);
+
+// Accepted upload extensions (plain and compressed VCF)
+const VCF_EXTENSIONS = ['.vcf', '.vcf.gz', '.vcf.bgz'];
+
+// Consumer raw data exports (23andMe, AncestryDNA)
+const RAW_DATA_EXTENSIONS = ['.txt', '.txt.gz'];
+
+// External diplotype calls (PharmCAT outside-call TSV, Aldy, Stargazer)
+const CALL_FILE_EXTENSIONS = ['.tsv', '.txt', '.aldy'];
+
+// gzip magic bytes (BGZF is a series of gzip members and shares them)
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/**
+ * Read a megabyte limit from an environment value
+ * @param {string} value - Raw environment value
+ * @param {number} defaultMegabytes - Fallback when unset or invalid
+ * @returns {number} Limit in bytes
+ */
+function readMegabytes(value, defaultMegabytes) {
+  const megabytes = parseFloat(value);
+  return (megabytes > 0 ? megabytes : defaultMegabytes) * MEGABYTE;
+}
+
+/**
+ * Check whether a filename has an accepted VCF extension
+ * @param {string} filename - Original upload filename
+ * @returns {boolean} Whether the file looks like a VCF
+ */
+function isVCFFilename(filename) {
+  const name = (filename || '').toLowerCase();
+  return VCF_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Check whether a filename is an accepted upload (VCF, consumer raw data
+ * or external diplotype calls)
+ * @param {string} filename - Original upload filename
+ * @returns {boolean} Whether the file can be uploaded
+ */
+function isGenotypeFilename(filename) {
+  const name = (filename || '').toLowerCase();
+  return isVCFFilename(name) ||
+    RAW_DATA_EXTENSIONS.some(ext => name.endsWith(ext)) ||
+    CALL_FILE_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Detect gzip/BGZF content from the leading magic bytes
+ * @param {Buffer} buffer - Leading bytes of the file
+ * @returns {boolean} Whether the buffer is gzip-compressed
+ */
+function isGzipped(buffer) {
+  return Boolean(buffer) &&
+    buffer.length >= 2 &&
+    buffer[0] === GZIP_MAGIC[0] &&
+    buffer[1] === GZIP_MAGIC[1];
+}
+
+/**
+ * Detect whether a file on disk is gzip/BGZF-compressed
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<boolean>} Whether the file is gzip-compressed
+ */
+async function isGzippedFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+    return isGzipped(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Create a pass-through stream that fails once too many bytes have passed
+ * @param {number} maxBytes - Maximum number of bytes allowed through
+ * @returns {Transform} Byte-limiting stream
+ */
+function createByteLimit(maxBytes) {
+  let total = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        return callback(new Error(
+          `Decompressed VCF exceeds ${formatMegabytes(maxBytes)} limit (possible decompression bomb)`
+        ));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Stream the lines of a VCF file from disk
+ *
+ * RULES:
+ * - Plain text is read as UTF-8
+ * - gzip/BGZF input is decompressed on the fly (all members)
+ * - Decompressed output past maxBytes aborts with a decompression bomb error
+ *
+ * @param {string} filePath - Path to the uploaded file
+ * @param {number} maxBytes - Maximum decompressed size in bytes
+ * @returns {AsyncGenerator<string>} VCF lines
+ */
+async function* readVCFLines(filePath, maxBytes = MAX_DECOMPRESSED_BYTES) {
+  const compressed = await isGzippedFile(filePath);
+  const source = fs.createReadStream(filePath);
+  let input = source;
+  let streamError = null;
+
+  if (compressed) {
+    input = pipeline(source, zlib.createGunzip(), createByteLimit(maxBytes), (error) => {
+      if (error) {
+        streamError = error.code && error.code.startsWith('Z_')
+          ? new Error('Failed to decompress VCF file: invalid gzip/BGZF data')
+          : error;
+      }
+    });
+  }
+
+  const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      yield line;
+    }
+  } catch (error) {
+    throw streamError || error;
+  } finally {
+    lines.close();
+    source.destroy();
+  }
+
+  if (streamError) {
+    throw streamError;
+  }
+}
+
+/**
+ * Format a byte count as a megabyte label (e.g., "5MB")
+ * @param {number} bytes - Byte count
+ * @returns {string} Label
+ */
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / MEGABYTE)}MB`;
+}
+
+module.exports = {
+  readVCFLines,
+  isVCFFilename,
+  isGenotypeFilename,
+  isGzipped,
+  isGzippedFile,
+  formatMegabytes,
+  MAX_UPLOAD_BYTES,
+  MAX_DECOMPRESSED_BYTES,
+  VCF_EXTENSIONS,
+  RAW_DATA_EXTENSIONS,
+  CALL_FILE_EXTENSIONS
+};
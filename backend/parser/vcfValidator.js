@@ -0,0 +1,327 @@
+/**
+ * VCF Validator Module
+ * Line-level structural validation of VCF files with structured diagnostics
+ *
+ * Each diagnostic carries a 1-based line number, a severity ("error" or
+ * "warning"), a stable code and a human-readable message. Validation runs
+ * line by line so it works on streamed uploads with bounded memory.
+ */
+
+const { readVCFLines } = require('./vcfReader');
+
+// Fixed VCF columns that must open the #CHROM header, in order
+const FIXED_COLUMNS = ['CHROM', 'POS', 'ID', 'REF', 'ALT', 'QUAL', 'FILTER', 'INFO'];
+
+// Diagnostics kept in the report (counts keep going past the cap)
+const MAX_DIAGNOSTICS = 500;
+
+// Keys that are always allowed without a meta declaration
+const RESERVED_FORMAT_KEYS = ['GT'];
+
+/**
+ * Validate VCF file content
+ * @param {string} vcfContent - Raw VCF file content
+ * @returns {object} Validation report ({ valid, error, summary, diagnostics })
+ */
+function validateVCF(vcfContent) {
+  if (!vcfContent || typeof vcfContent !== 'string') {
+    return { valid: false, error: 'Empty or invalid file content', summary: { errors: 1, warnings: 0 }, diagnostics: [] };
+  }
+
+  const state = createValidationState();
+
+  for (const line of vcfContent.split('\n')) {
+    validateLine(state, line);
+  }
+
+  return buildValidationReport(state);
+}
+
+/**
+ * Validate a VCF from any line source (readline interface, async generator)
+ * @param {AsyncIterable<string>} lines - VCF lines
+ * @returns {Promise<object>} Validation report
+ */
+async function validateVCFStream(lines) {
+  const state = createValidationState();
+
+  for await (const line of lines) {
+    validateLine(state, line);
+  }
+
+  return buildValidationReport(state);
+}
+
+/**
+ * Validate a VCF file on disk (plain, gzip or BGZF)
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<object>} Validation report
+ */
+async function validateVCFFile(filePath) {
+  try {
+    return await validateVCFStream(readVCFLines(filePath));
+  } catch (error) {
+    return { valid: false, error: error.message, summary: { errors: 1, warnings: 0 }, diagnostics: [] };
+  }
+}
+
+/**
+ * Create the mutable state shared by the line-by-line validator
+ * @returns {object} Validator state
+ */
+function createValidationState() {
+  return {
+    lineNumber: 0,
+    headerFound: false,
+    headerColumns: 0,
+    declaredInfo: new Set(),
+    declaredFormat: new Set(),
+    reportedInfo: new Set(),
+    reportedFormat: new Set(),
+    seenPositions: new Map(),
+    lastChrom: null,
+    lastPos: null,
+    records: 0,
+    errors: 0,
+    warnings: 0,
+    diagnostics: []
+  };
+}
+
+/**
+ * Record a diagnostic (counted always, stored up to MAX_DIAGNOSTICS)
+ * @param {object} state - Validator state
+ * @param {string} severity - "error" or "warning"
+ * @param {string} code - Stable diagnostic code
+ * @param {string} message - Human-readable message
+ */
+function addDiagnostic(state, severity, code, message) {
+  if (severity === 'error') {
+    state.errors++;
+  } else {
+    state.warnings++;
+  }
+
+  if (state.diagnostics.length < MAX_DIAGNOSTICS) {
+    state.diagnostics.push({ line: state.lineNumber, severity, code, message });
+  }
+}
+
+/**
+ * Validate one VCF line
+ * @param {object} state - Validator state
+ * @param {string} rawLine - One line of the VCF
+ */
+function validateLine(state, rawLine) {
+  const line = rawLine.replace(/\r$/, '');
+  state.lineNumber++;
+
+  // The first line must declare the file format
+  if (state.lineNumber === 1) {
+    if (!/^##fileformat=VCFv\d/.test(line)) {
+      addDiagnostic(state, 'error', 'MISSING_FILEFORMAT', 'First line must be ##fileformat=VCFv4.x');
+    }
+  }
+
+  if (line.startsWith('##')) {
+    validateMetaLine(state, line);
+    return;
+  }
+
+  if (line.startsWith('#CHROM')) {
+    validateHeaderLine(state, line);
+    return;
+  }
+
+  if (!line.trim()) {
+    return;
+  }
+
+  if (line.startsWith('#')) {
+    addDiagnostic(state, 'warning', 'UNEXPECTED_COMMENT', 'Comment line after the header is not allowed by the VCF spec');
+    return;
+  }
+
+  if (!state.headerFound) {
+    addDiagnostic(state, 'error', 'RECORD_BEFORE_HEADER', 'Data record found before the #CHROM header line');
+    return;
+  }
+
+  validateRecordLine(state, line);
+}
+
+/**
+ * Validate a meta line and collect INFO/FORMAT declarations
+ * @param {object} state - Validator state
+ * @param {string} line - Meta line (starting with ##)
+ */
+function validateMetaLine(state, line) {
+  if (state.headerFound) {
+    addDiagnostic(state, 'error', 'META_AFTER_HEADER', 'Meta line found after the #CHROM header line');
+    return;
+  }
+
+  const declaration = line.match(/^##(INFO|FORMAT)=<ID=([^,>]+)/);
+  if (declaration) {
+    const target = declaration[1] === 'INFO' ? state.declaredInfo : state.declaredFormat;
+    target.add(declaration[2]);
+  }
+}
+
+/**
+ * Validate the #CHROM header line
+ * @param {object} state - Validator state
+ * @param {string} line - Header line
+ */
+function validateHeaderLine(state, line) {
+  if (state.headerFound) {
+    addDiagnostic(state, 'error', 'DUPLICATE_HEADER', 'Duplicate #CHROM header line');
+    return;
+  }
+
+  state.headerFound = true;
+  const columns = line.substring(1).split('\t').map(c => c.trim());
+  state.headerColumns = columns.length;
+
+  const fixed = columns.slice(0, FIXED_COLUMNS.length).map(c => c.toUpperCase());
+  if (fixed.join('\t') !== FIXED_COLUMNS.join('\t')) {
+    addDiagnostic(
+      state,
+      'error',
+      'INVALID_HEADER',
+      `Header must start with ${FIXED_COLUMNS.join(', ')} (tab-separated); found ${columns.slice(0, FIXED_COLUMNS.length).join(', ')}`
+    );
+  }
+
+  if (columns.length > FIXED_COLUMNS.length && columns[FIXED_COLUMNS.length].toUpperCase() !== 'FORMAT') {
+    addDiagnostic(state, 'error', 'MISSING_FORMAT_COLUMN', 'Sample columns require a FORMAT column after INFO');
+  }
+}
+
+/**
+ * Validate a data record line
+ * @param {object} state - Validator state
+ * @param {string} line - Record line
+ */
+function validateRecordLine(state, line) {
+  const fields = line.split('\t');
+  state.records++;
+
+  if (fields.length !== state.headerColumns) {
+    addDiagnostic(
+      state,
+      'error',
+      'COLUMN_COUNT',
+      `Expected ${state.headerColumns} tab-separated columns, found ${fields.length}`
+    );
+    if (fields.length < FIXED_COLUMNS.length) {
+      return;
+    }
+  }
+
+  const [chrom, posValue, , , , , , info] = fields;
+  const format = fields[FIXED_COLUMNS.length];
+
+  if (!/^\d+$/.test(posValue) || parseInt(posValue, 10) < 1) {
+    addDiagnostic(state, 'error', 'INVALID_POS', `POS must be a positive integer; found "${posValue}"`);
+  } else {
+    validateRecordOrder(state, chrom, parseInt(posValue, 10));
+  }
+
+  validateDeclaredKeys(state, info, ';', state.declaredInfo, state.reportedInfo, 'INFO', []);
+  if (format !== undefined) {
+    validateDeclaredKeys(state, format, ':', state.declaredFormat, state.reportedFormat, 'FORMAT', RESERVED_FORMAT_KEYS);
+  }
+}
+
+/**
+ * Check record sort order and duplicate positions
+ *
+ * RULES:
+ * - Records for a contig must be contiguous (warning if a contig reappears)
+ * - POS must not decrease within a contig (warning)
+ * - Same contig and POS as any earlier record → duplicate position (warning),
+ *   so duplicates are caught in unsorted files too
+ *
+ * @param {object} state - Validator state
+ * @param {string} chrom - CHROM value
+ * @param {number} pos - POS value
+ */
+function validateRecordOrder(state, chrom, pos) {
+  if (chrom !== state.lastChrom) {
+    if (state.seenPositions.has(chrom)) {
+      addDiagnostic(state, 'warning', 'UNSORTED_CONTIG', `Records for ${chrom} are not contiguous (file is not sorted)`);
+    } else {
+      state.seenPositions.set(chrom, new Set());
+    }
+  } else if (pos < state.lastPos) {
+    addDiagnostic(state, 'warning', 'UNSORTED_POSITION', `POS ${pos} is before the previous record at ${chrom}:${state.lastPos} (file is not sorted)`);
+  }
+
+  const positions = state.seenPositions.get(chrom);
+  if (positions.has(pos)) {
+    addDiagnostic(state, 'warning', 'DUPLICATE_POSITION', `Duplicate position ${chrom}:${pos}`);
+  }
+  positions.add(pos);
+
+  state.lastChrom = chrom;
+  state.lastPos = pos;
+}
+
+/**
+ * Warn (once per key) about INFO/FORMAT keys missing a meta declaration
+ * @param {object} state - Validator state
+ * @param {string} value - INFO or FORMAT field
+ * @param {string} separator - Key separator (";" for INFO, ":" for FORMAT)
+ * @param {Set} declared - Declared IDs
+ * @param {Set} reported - Keys already reported
+ * @param {string} kind - "INFO" or "FORMAT"
+ * @param {Array} reserved - Keys allowed without declaration
+ */
+function validateDeclaredKeys(state, value, separator, declared, reported, kind, reserved) {
+  if (!value || value === '.') {
+    return;
+  }
+
+  for (const entry of value.split(separator)) {
+    const key = entry.split('=')[0].trim();
+    if (!key || declared.has(key) || reserved.includes(key) || reported.has(key)) {
+      continue;
+    }
+    reported.add(key);
+    addDiagnostic(state, 'warning', `UNDECLARED_${kind}`, `${kind} key "${key}" is not declared in a ##${kind} meta line`);
+  }
+}
+
+/**
+ * Build the validation report from the validator state
+ * @param {object} state - Validator state
+ * @returns {object} Validation report
+ */
+function buildValidationReport(state) {
+  if (!state.headerFound) {
+    addDiagnostic(state, 'error', 'MISSING_HEADER', 'Missing VCF header line (#CHROM)');
+  }
+
+  const firstError = state.diagnostics.find(d => d.severity === 'error');
+
+  return {
+    valid: state.errors === 0,
+    error: firstError ? `Line ${firstError.line}: ${firstError.message}` : undefined,
+    summary: {
+      lines: state.lineNumber,
+      records: state.records,
+      errors: state.errors,
+      warnings: state.warnings,
+      truncated: state.errors + state.warnings > state.diagnostics.length
+    },
+    diagnostics: state.diagnostics
+  };
+}
+
+module.exports = {
+  validateVCF,
+  validateVCFStream,
+  validateVCFFile,
+  MAX_DIAGNOSTICS,
+};
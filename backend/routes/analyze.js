@@ -11,15 +11,437 @@
 
 const express = require('express');
 const router = express.Router();
-const { parseVCF, validateVCF } = require('../parser/vcfParser');
-const { determineDiplotype, determinePhenotypeByGene, getPhenotypeDescription } = require('../services/phenotypeMapper');
-const { validateDrug, parseDrugInput, getPrimaryGene, calculateRisk, getClinicalRecommendation, SUPPORTED_DRUGS } = require('../services/riskEngine');
+const fs = require('fs');
+const { parseVCFFile } = require('../parser/vcfParser');
+const { validateVCFFile } = require('../parser/vcfValidator');
+const { detectGenotypeFileFormat, parseConsumerGenotypeFile } = require('../parser/consumerGenotypeParser');
+const { parseExternalCallFile } = require('../parser/externalCallParser');
+const {
+  resolveDiplotype,
+  determinePhenotypeByGene,
+  calculateActivityScore,
+  assessCandidatePhenotypes,
+  getPhenotypeDescription,
+  getPhenotypeLabel,
+  isCarrierGene,
+  determineCarrierPhenotype,
+  determineCarrierFromTagSnp,
+  getAlleleDosage
+} = require('../services/phenotypeMapper');
+const {
+  validateDrug,
+  parseDrugInput,
+  getDrugGenes,
+  getCarrierAllele,
+  calculateRisk,
+  getClinicalRecommendation,
+  SUPPORTED_DRUGS
+} = require('../services/riskEngine');
 const { generateExplanation } = require('../services/llmService');
+const { getKnowledgeBaseInfo } = require('../services/knowledgeBase');
+const { assessGeneCoverage, isIndeterminate, INDETERMINATE } = require('../services/geneCoverage');
+const { parseClinicalInputs } = require('../services/clinicalInputs');
+const { getDoseAlgorithm, predictWeeklyDose } = require('../services/warfarinDosing');
+
+// Upload fields accepted by /analyze (a VCF, an external calls file, or both)
+const ANALYZE_UPLOAD_FIELDS = [
+  { name: 'vcfFile', maxCount: 1 },
+  { name: 'callsFile', maxCount: 1 }
+];
+
+/**
+ * Determine the diplotype and phenotype of one gene in a sample
+ *
+ * RULES:
+ * - External caller diplotypes are used as-is; without any genotype data
+ *   the diplotype is Indeterminate (never assumed *1/*1)
+ * - Otherwise phased calls are assembled into haplotypes and unphased
+ *   compound hets are flagged; calls failing the quality gates are excluded
+ * - Internally inferred calls need coverage of the gene's defining sites:
+ *   a missing or no-called site never becomes *1 (reported Indeterminate)
+ * - Inferred calls are ranked against every consistent candidate diplotype;
+ *   candidates with different phenotypes make the call ambiguous
+ * - Phenotype-only external calls keep the caller's phenotype
+ * - HLA genes give a carrier status for the drug's allele instead
+ *   (determineCarrierProfile)
+ * - X-linked genes (G6PD) use the patient's sex: males get a single
+ *   hemizygous allele, heterozygous females a Variable phenotype
+ *
+ * @param {string} gene - Gene symbol
+ * @param {object|null} sampleGeneVariants - Gene → variants for this sample
+ * @param {object|null} geneCalls - Gene → external diplotype call
+ * @param {string|null} carrierAllele - HLA allele the drug is screened for
+ * @param {string|null} sex - Patient sex ("male", "female") from the clinical inputs
+ * @returns {object} Gene profile (diplotype call, phenotype, coverage, variants)
+ */
+function determineGeneProfile(gene, sampleGeneVariants, geneCalls, carrierAllele = null, sex = null) {
+  if (isCarrierGene(gene)) {
+    return determineCarrierProfile(gene, carrierAllele, sampleGeneVariants, geneCalls);
+  }
+
+  const externalCall = geneCalls ? geneCalls[gene] : null;
+  const geneVariants = (sampleGeneVariants && sampleGeneVariants[gene]) || [];
+  // Calls failing the quality gates are excluded from diplotyping and reported
+  const passingVariants = geneVariants.filter(v => v.quality_passed !== false);
+  const filteredVariants = geneVariants.filter(v => v.quality_passed === false);
+  // Reference (0/0) and no-call rows are kept for diplotyping but are not "detected"
+  const carriedVariants = passingVariants.filter(v => getAlleleDosage(v) > 0);
+
+  let diplotypeCall;
+  const coverage = externalCall ? null : assessGeneCoverage(gene, geneVariants);
+  if (externalCall) {
+    diplotypeCall = { diplotype: externalCall.diplotype || 'Unknown', phase_status: 'not_applicable', alternatives: [] };
+  } else if (!sampleGeneVariants) {
+    diplotypeCall = { diplotype: INDETERMINATE, phase_status: 'not_applicable', alternatives: [] };
+  } else {
+    diplotypeCall = resolveDiplotype(passingVariants, sex);
+    if (isIndeterminate(coverage, diplotypeCall.diplotype, diplotypeCall.copy_number)) {
+      diplotypeCall = { ...diplotypeCall, diplotype: INDETERMINATE, phase_status: 'not_applicable', alternatives: [] };
+    }
+  }
+  const diplotype = diplotypeCall.diplotype;
+
+  const phenotype = externalCall && !externalCall.diplotype
+    ? externalCall.phenotype || 'Unknown'
+    : determinePhenotypeByGene(gene, diplotype);
+  const candidateAssessment = diplotypeCall.candidates && diplotype !== INDETERMINATE
+    ? assessCandidatePhenotypes(gene, diplotypeCall.candidates, diplotypeCall.alternatives)
+    : null;
+
+  return {
+    gene,
+    externalCall,
+    diplotypeCall,
+    diplotype,
+    phenotype,
+    activityScore: calculateActivityScore(gene, diplotype),
+    candidateAssessment,
+    coverage,
+    source: externalCall ? 'external' : (sampleGeneVariants ? 'inferred' : 'none'),
+    carriedVariants,
+    filteredVariants
+  };
+}
+
+/**
+ * Determine the carrier status of an HLA gene for one drug's allele
+ *
+ * RULES:
+ * - HLA typing (calls file: PharmCAT outside call, OptiType) is used first;
+ *   the diplotype is the typed allele pair
+ * - Otherwise the allele's tag SNP in the VCF is a proxy; the diplotype
+ *   reads "<allele> positive", or "<allele> not excluded" for a reference
+ *   call (phenotype Unknown: confirm by HLA typing), marked tag_snp
+ * - Without typing or a called tag SNP the status is Indeterminate, never
+ *   assumed negative
+ *
+ * @param {string} gene - Gene symbol (HLA-A, HLA-B)
+ * @param {string} carrierAllele - Allele the drug is screened for (e.g., "*57:01")
+ * @param {object|null} sampleGeneVariants - Gene → variants for this sample
+ * @param {object|null} geneCalls - Gene → external diplotype call
+ * @returns {object} Gene profile (same shape as determineGeneProfile)
+ */
+function determineCarrierProfile(gene, carrierAllele, sampleGeneVariants, geneCalls) {
+  const externalCall = geneCalls && geneCalls[gene] && geneCalls[gene].diplotype ? geneCalls[gene] : null;
+  const geneVariants = (sampleGeneVariants && sampleGeneVariants[gene]) || [];
+  const passingVariants = geneVariants.filter(v => v.quality_passed !== false);
+  const filteredVariants = geneVariants.filter(v => v.quality_passed === false);
+  const carriedVariants = passingVariants.filter(v => getAlleleDosage(v) > 0);
+
+  let diplotype = INDETERMINATE;
+  let phenotype = 'Unknown';
+  let tagSnp = null;
+  if (externalCall) {
+    diplotype = externalCall.diplotype;
+    phenotype = determineCarrierPhenotype(diplotype, carrierAllele);
+  } else if (sampleGeneVariants) {
+    tagSnp = determineCarrierFromTagSnp(gene, carrierAllele, geneVariants);
+    phenotype = tagSnp.phenotype;
+    if (phenotype !== 'Unknown') {
+      diplotype = `${carrierAllele} ${phenotype.toLowerCase()}`;
+    } else if (tagSnp.status === 'called') {
+      diplotype = `${carrierAllele} not excluded`;
+    }
+  }
+
+  return {
+    gene,
+    externalCall,
+    diplotypeCall: { diplotype, phase_status: 'not_applicable', alternatives: [] },
+    diplotype,
+    phenotype,
+    activityScore: null,
+    candidateAssessment: null,
+    coverage: null,
+    source: externalCall ? 'external' : (tagSnp ? 'tag_snp' : 'none'),
+    carrierAllele,
+    tagSnp,
+    carriedVariants,
+    filteredVariants
+  };
+}
+
+/**
+ * Diplotype fields shared by the primary gene profile and co-gene entries
+ * @param {object} profile - Result of determineGeneProfile
+ * @returns {object} Response fields
+ */
+function describeGeneCall(profile) {
+  const { diplotypeCall, candidateAssessment } = profile;
+  const phenotypeLabel = getPhenotypeLabel(profile.gene, profile.phenotype);
+  return {
+    ...(phenotypeLabel && { phenotype_label: phenotypeLabel }),
+    ...(profile.activityScore !== null && { activity_score: profile.activityScore }),
+    phase_status: diplotypeCall.phase_status,
+    ...(diplotypeCall.phase_status === 'ambiguous' && { phase_alternatives: diplotypeCall.alternatives }),
+    ...(Number.isFinite(diplotypeCall.copy_number) && { copy_number: diplotypeCall.copy_number }),
+    ...(diplotypeCall.hemizygous && { hemizygous: true }),
+    ...(diplotypeCall.sex_conflicts && { sex_conflicts: diplotypeCall.sex_conflicts }),
+    ...(candidateAssessment && { diplotype_ambiguous: candidateAssessment.ambiguous }),
+    ...(candidateAssessment && candidateAssessment.candidates.length > 1 && {
+      candidate_diplotypes: candidateAssessment.candidates
+    }),
+    diplotype_source: profile.source,
+    ...(profile.carrierAllele && { carrier_allele: `${profile.gene}${profile.carrierAllele}` }),
+    ...(profile.tagSnp && { tag_snp: profile.tagSnp }),
+    ...(profile.externalCall && { external_caller: profile.externalCall.caller }),
+    ...(profile.coverage && { coverage: profile.coverage }),
+    detected_variants: profile.carriedVariants.map(v => ({
+      rsid: v.rsid,
+      genotype: v.genotype,
+      zygosity: v.zygosity,
+      allele_dosage: v.allele_dosage,
+      ...(v.sv_type && { sv_type: v.sv_type, copy_number: v.copy_number })
+    }))
+  };
+}
+
+/**
+ * Plausible phenotypes of a gene profile (called phenotype first)
+ * @param {object} profile - Result of determineGeneProfile
+ * @returns {Array} Phenotype codes
+ */
+function getPlausiblePhenotypes(profile) {
+  const candidates = profile.candidateAssessment && profile.candidateAssessment.ambiguous
+    ? profile.candidateAssessment.plausible_phenotypes
+    : [];
+  return [...new Set([profile.phenotype, ...candidates])];
+}
+
+/**
+ * Run the full analysis flow for one sample against every requested drug
+ * 
+ * FLOW (per drug):
+ * 1. Determine diplotype (rule-based, or taken from an external caller)
+ *    for the drug's primary gene and any co-genes (thiopurines: NUDT15)
+ * 2. Determine phenotype (rule-based, gene-specific CPIC tables)
+ * 3. Calculate risk (rule-based, CPIC-aligned)
+ * 4. Generate recommendation (deterministic templates), with a predicted
+ *    dose for drugs that have a dose algorithm (warfarin: IWPC)
+ * 5. Generate explanation (LLM - receives all pre-determined values)
+ * 
+ * @param {string} patientId - Sample/patient identifier
+ * @param {object|null} sampleGeneVariants - Gene → variants for this sample (null without a genotype file)
+ * @param {Array} validDrugs - Validated drug objects from parseDrugInput
+ * @param {string} timestamp - Analysis timestamp (shared across samples)
+ * @param {object} parsedInput - Parse result ({ genomeBuild, inputFormat, caveats })
+ * @param {object|null} geneCalls - Gene → external diplotype call; these genes skip inference
+ * @param {object} clinicalInputs - Patient covariates from parseClinicalInputs
+ * @returns {Promise<Array>} One result object per drug
+ */
+async function analyzeSample(patientId, sampleGeneVariants, validDrugs, timestamp, parsedInput, geneCalls = null, clinicalInputs = {}) {
+  const { genomeBuild } = parsedInput;
+  const { sex } = clinicalInputs;
+  const results = [];
+
+  for (const drug of validDrugs) {
+    const drugName = drug.normalizedName;
+    const [primaryGene, ...coGenes] = getDrugGenes(drugName);
+
+    // STEP 1-2: Diplotype and phenotype per gene (rule-based)
+    // Gene-specific CPIC tables (this fixes the CYP2C19 *2/*17 → IM issue)
+    const primary = determineGeneProfile(primaryGene, sampleGeneVariants, geneCalls, getCarrierAllele(drugName, primaryGene), sex);
+    const coGeneProfiles = coGenes.map(gene =>
+      determineGeneProfile(gene, sampleGeneVariants, geneCalls, getCarrierAllele(drugName, gene), sex)
+    );
+    const { diplotype, phenotype, carriedVariants } = primary;
+    const filteredVariants = [primary, ...coGeneProfiles].flatMap(p => p.filteredVariants);
+    
+    // STEP 3: Calculate risk using CPIC-aligned rules (rule-based)
+    // Ambiguous calls take the most conservative risk across candidates;
+    // multi-gene drugs combine the co-gene phenotypes
+    const hasVariants = primary.externalCall
+      ? !['*1/*1', 'Unknown'].includes(diplotype)
+      : carriedVariants.length > 0;
+    const riskAssessment = calculateRisk(drugName, phenotype, hasVariants, {
+      lowQualityCalls: filteredVariants.length,
+      tagSnpProxy: Boolean(primary.tagSnp) && primary.tagSnp.status === 'called',
+      candidatePhenotypes: getPlausiblePhenotypes(primary),
+      genePhenotypes: Object.fromEntries(coGeneProfiles.map(p => [p.gene, getPlausiblePhenotypes(p)]))
+    });
+    
+    // STEP 4: Get clinical recommendation (deterministic templates)
+    // The rationale follows the phenotype(s) the reported risk belongs to
+    const recommendation = getClinicalRecommendation(
+      riskAssessment.risk_label, 
+      drugName, 
+      riskAssessment.risk_phenotype,
+      riskAssessment.combined_phenotypes
+    );
+    const doseAlgorithm = getDoseAlgorithm(drugName);
+    const predictedDose = doseAlgorithm
+      ? predictWeeklyDose(doseAlgorithm, { [primaryGene]: diplotype }, sampleGeneVariants, clinicalInputs)
+      : null;
+    
+    // STEP 5: Generate LLM explanation
+    // LLM receives ALL pre-determined values - it explains, does NOT decide
+    const explanation = await generateExplanation({
+      drug: drugName,
+      gene: primaryGene,
+      diplotype: diplotype,
+      phenotype: phenotype,
+      riskLabel: riskAssessment.risk_label,      // Pass pre-determined risk
+      severity: riskAssessment.severity,         // Pass pre-determined severity
+      variants: carriedVariants,
+      coGenes: coGeneProfiles.map(p => ({ gene: p.gene, diplotype: p.diplotype, phenotype: p.phenotype })),
+      doseDirection: riskAssessment.dose_direction
+    });
+
+    // Build result object matching exact schema (unchanged)
+    const result = {
+      patient_id: patientId,
+      drug: drugName,
+      timestamp: timestamp,
+      risk_assessment: {
+        risk_label: riskAssessment.risk_label,
+        confidence_score: parseFloat(riskAssessment.confidence_score.toFixed(2)),
+        severity: riskAssessment.severity,
+        ...(riskAssessment.dose_direction && { dose_direction: riskAssessment.dose_direction }),
+        ...(riskAssessment.ambiguous && { risk_phenotype: riskAssessment.risk_phenotype }),
+        ...(riskAssessment.combined_phenotypes && { combined_phenotypes: riskAssessment.combined_phenotypes })
+      },
+      pharmacogenomic_profile: {
+        primary_gene: primaryGene,
+        diplotype: diplotype,
+        phenotype: phenotype,
+        ...describeGeneCall(primary),
+        ...(coGeneProfiles.length > 0 && {
+          co_genes: coGeneProfiles.map(p => ({
+            gene: p.gene,
+            diplotype: p.diplotype,
+            phenotype: p.phenotype,
+            ...describeGeneCall(p)
+          }))
+        })
+      },
+      clinical_recommendation: {
+        action: recommendation.action,
+        rationale: recommendation.rationale,
+        ...(predictedDose && { predicted_dose: predictedDose })
+      },
+      llm_generated_explanation: {
+        summary: explanation.summary,
+        mechanism: explanation.mechanism,
+        clinical_impact: explanation.clinical_impact
+      },
+      quality_metrics: {
+        vcf_parsing_success: true,
+        input_format: parsedInput.inputFormat,
+        caveats: parsedInput.caveats,
+        genome_build: genomeBuild ? genomeBuild.build : null,
+        genome_build_source: genomeBuild ? genomeBuild.source : null,
+        knowledge_base_version: getKnowledgeBaseInfo().version,
+        filtered_variants: filteredVariants.map(v => ({
+          rsid: v.rsid,
+          chrom: v.chrom,
+          pos: v.pos,
+          genotype: v.genotype,
+          star_allele: v.star_allele,
+          reasons: v.quality_flags
+        }))
+      }
+    };
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Delete a disk-stored upload once the request is done with it
+ * @param {object} file - Multer file object
+ */
+function removeUpload(file) {
+  if (file && file.path) {
+    fs.unlink(file.path, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Failed to remove upload:', error.message);
+      }
+    });
+  }
+}
+
+/**
+ * Get the uploaded file for a multipart field
+ * @param {object} req - Express request (after multer)
+ * @param {string} field - Field name
+ * @returns {object|null} Multer file object
+ */
+function getUploadedFile(req, field) {
+  return (req.files && req.files[field] && req.files[field][0]) || null;
+}
+
+/**
+ * Select the external calls that apply to a sample
+ * Calls without sample names (PharmCAT outside-call files) apply to every sample.
+ * @param {object|null} parsedCalls - Result of parseExternalCallFile
+ * @param {string|null} sampleId - Sample being analyzed (null if unnamed)
+ * @returns {object|null} Gene → call
+ */
+function getSampleCalls(parsedCalls, sampleId) {
+  if (!parsedCalls) {
+    return null;
+  }
+  if (sampleId && parsedCalls.callsBySample[sampleId]) {
+    return parsedCalls.callsBySample[sampleId];
+  }
+  return parsedCalls.samples.length === 0 || !sampleId ? parsedCalls.calls : {};
+}
+
+/**
+ * Parse an uploaded genotype file in whichever format it is in
+ * VCF (plain, gzip, BGZF) or 23andMe/AncestryDNA raw data.
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<object>} Parse result (parseVCF shape)
+ */
+async function parseUpload(filePath) {
+  const format = await detectGenotypeFileFormat(filePath);
+  return format === 'vcf'
+    ? parseVCFFile(filePath)
+    : parseConsumerGenotypeFile(filePath);
+}
 
 /**
  * POST /api/analyze
  * Analyze VCF file against specified drugs
  * 
+ * Optional `sample` field selects one sample column from a multi-sample VCF.
+ * Without it every sample is analyzed; multi-sample files return
+ * `{ samples: { <sample name>: result(s) } }`.
+ * 
+ * 23andMe/AncestryDNA raw data files are also accepted; they are analyzed
+ * from their pharmacogene rsIDs and carry an array-coverage caveat.
+ * 
+ * Optional `callsFile` holds diplotypes from a dedicated caller (PharmCAT
+ * outside-call TSV, Aldy, Stargazer; Stargazer also needs `gene`). Called
+ * genes use the external diplotype instead of inference; it may be sent
+ * with or without a `vcfFile`.
+ * 
+ * Optional `age`, `height_cm`, `weight_kg`, `race` and `interacting_drugs`
+ * feed dose prediction (warfarin); without age, height and weight the
+ * predicted dose is null and the missing fields are listed.
+ * 
  * FLOW:
  * 1. Parse VCF → Extract variants
  * 2. Determine diplotype (rule-based)
@@ -32,126 +454,133 @@ router.post('/analyze', async (req, res) => {
   try {
     const upload = req.app.get('upload');
     
-    upload.single('vcfFile')(req, res, async (err) => {
-      if (err) {
-        return res.status(400).json({ error: err.message });
-      }
+    upload.fields(ANALYZE_UPLOAD_FIELDS)(req, res, async (err) => {
+      // Everything below runs after the router's try/catch has returned, so
+      // errors must be caught here or they become unhandled rejections
+      try {
+        if (err) {
+          return res.status(400).json({ error: err.message });
+        }
 
-      // Validate file upload
-      if (!req.file) {
-        return res.status(400).json({ error: 'No VCF file uploaded' });
-      }
+        // Validate file upload (a VCF, external calls, or both)
+        const vcfFile = getUploadedFile(req, 'vcfFile');
+        const callsFile = getUploadedFile(req, 'callsFile');
+        if (!vcfFile && !callsFile) {
+          return res.status(400).json({ error: 'Upload a VCF (vcfFile) or a diplotype calls file (callsFile)' });
+        }
 
-      // Get drug input
-      const drugInput = req.body.drugs;
-      if (!drugInput) {
-        return res.status(400).json({ error: 'Drug name(s) required' });
-      }
+        // Drop the temp uploads once the response has been sent (any outcome)
+        res.on('close', () => {
+          removeUpload(vcfFile);
+          removeUpload(callsFile);
+        });
 
-      // Parse and validate drugs
-      const drugs = parseDrugInput(drugInput);
-      const validDrugs = drugs.filter(d => d.valid);
-      const invalidDrugs = drugs.filter(d => !d.valid);
+        // Get drug input
+        const drugInput = req.body.drugs;
+        if (!drugInput) {
+          return res.status(400).json({ error: 'Drug name(s) required' });
+        }
 
-      if (validDrugs.length === 0) {
-        return res.status(400).json({ 
-          error: 'No valid drugs specified',
-          invalidDrugs: invalidDrugs.map(d => d.original),
-          supportedDrugs: SUPPORTED_DRUGS
-        });
-      }
+        // Parse and validate drugs
+        const drugs = parseDrugInput(drugInput);
+        const validDrugs = drugs.filter(d => d.valid);
+        const invalidDrugs = drugs.filter(d => !d.valid);
 
-      // Parse VCF content
-      const vcfContent = req.file.buffer.toString('utf-8');
-      const validation = validateVCF(vcfContent);
-      
-      if (!validation.valid) {
-        return res.status(400).json({ error: validation.error });
-      }
+        if (validDrugs.length === 0) {
+          return res.status(400).json({ 
+            error: 'No valid drugs specified',
+            invalidDrugs: invalidDrugs.map(d => d.original),
+            supportedDrugs: SUPPORTED_DRUGS
+          });
+        }
 
-      const parsedVCF = parseVCF(vcfContent);
-      
-      if (!parsedVCF.success) {
-        return res.status(400).json({ error: 'Failed to parse VCF file' });
-      }
+        // Optional patient covariates for dose prediction (age, height, weight, race)
+        const clinical = parseClinicalInputs(req.body);
+        if (!clinical.success) {
+          return res.status(400).json({ error: clinical.error });
+        }
 
-      // Generate analysis for each drug
-      const results = [];
-      const timestamp = new Date().toISOString();
-      const patientId = `PATIENT_${Date.now().toString(36).toUpperCase()}`;
-
-      for (const drug of validDrugs) {
-        const drugName = drug.normalizedName;
-        const primaryGene = getPrimaryGene(drugName);
-        const geneVariants = parsedVCF.geneVariants[primaryGene] || [];
-        
-        // STEP 1: Determine diplotype (rule-based)
-        const diplotype = determineDiplotype(geneVariants);
-        
-        // STEP 2: Determine phenotype using GENE-SPECIFIC CPIC tables (rule-based)
-        // This fixes the CYP2C19 *2/*17 → IM issue
-        const phenotype = determinePhenotypeByGene(primaryGene, diplotype);
-        
-        // STEP 3: Calculate risk using CPIC-aligned rules (rule-based)
-        const hasVariants = geneVariants.length > 0;
-        const riskAssessment = calculateRisk(drugName, phenotype, hasVariants);
-        
-        // STEP 4: Get clinical recommendation (deterministic templates)
-        const recommendation = getClinicalRecommendation(
-          riskAssessment.risk_label, 
-          drugName, 
-          phenotype
-        );
-        
-        // STEP 5: Generate LLM explanation
-        // LLM receives ALL pre-determined values - it explains, does NOT decide
-        const explanation = await generateExplanation({
-          drug: drugName,
-          gene: primaryGene,
-          diplotype: diplotype,
-          phenotype: phenotype,
-          riskLabel: riskAssessment.risk_label,      // Pass pre-determined risk
-          severity: riskAssessment.severity,         // Pass pre-determined severity
-          variants: geneVariants
-        });
+        // External diplotype calls (PharmCAT outside-call, Aldy, Stargazer)
+        let parsedCalls = null;
+        if (callsFile) {
+          parsedCalls = await parseExternalCallFile(callsFile.path, { gene: req.body.gene });
+          if (!parsedCalls.success) {
+            return res.status(400).json({ error: parsedCalls.error });
+          }
+        }
 
-        // Build result object matching exact schema (unchanged)
-        const result = {
-          patient_id: patientId,
-          drug: drugName,
-          timestamp: timestamp,
-          risk_assessment: {
-            risk_label: riskAssessment.risk_label,
-            confidence_score: parseFloat(riskAssessment.confidence_score.toFixed(2)),
-            severity: riskAssessment.severity
-          },
-          pharmacogenomic_profile: {
-            primary_gene: primaryGene,
-            diplotype: diplotype,
-            phenotype: phenotype,
-            detected_variants: geneVariants.map(v => ({ rsid: v.rsid }))
-          },
-          clinical_recommendation: {
-            action: recommendation.action,
-            rationale: recommendation.rationale
-          },
-          llm_generated_explanation: {
-            summary: explanation.summary,
-            mechanism: explanation.mechanism,
-            clinical_impact: explanation.clinical_impact
-          },
-          quality_metrics: {
-            vcf_parsing_success: true
+        // Stream-parse the upload (VCF plain/gzip/BGZF, or consumer raw data)
+        let parsedVCF = null;
+        if (vcfFile) {
+          parsedVCF = await parseUpload(vcfFile.path);
+          if (!parsedVCF.success) {
+            return res.status(400).json({ error: parsedVCF.error || 'Failed to parse VCF file' });
           }
-        };
+        }
 
-        results.push(result);
-      }
+        const parsedInput = parsedVCF || parsedCalls;
+
+        // Resolve which sample column(s) to analyze
+        // A repeated form field arrives as an array
+        if (req.body.sample !== undefined && typeof req.body.sample !== 'string') {
+          return res.status(400).json({ error: 'sample must be a single sample name' });
+        }
+        const requestedSample = req.body.sample ? req.body.sample.trim() : '';
+        if (requestedSample && !parsedInput.samples.includes(requestedSample)) {
+          return res.status(400).json({
+            error: `Sample not found in VCF: ${requestedSample}`,
+            availableSamples: parsedInput.samples
+          });
+        }
 
-      // Return ONLY the result object(s) - no wrapper for competition schema
-      const response = results.length === 1 ? results[0] : results;
+        const sampleIds = requestedSample
+          ? [requestedSample]
+          : parsedInput.samples;
+        const timestamp = new Date().toISOString();
 
-      res.json(response);
+        // Sites-only VCF or raw data file: no sample column, fall back to a generated patient id
+        if (sampleIds.length === 0) {
+          const patientId = `PATIENT_${Date.now().toString(36).toUpperCase()}`;
+          const results = await analyzeSample(
+            patientId,
+            parsedVCF ? parsedVCF.geneVariants : null,
+            validDrugs,
+            timestamp,
+            parsedInput,
+            getSampleCalls(parsedCalls, null),
+            clinical.inputs
+          );
+          return res.json(results.length === 1 ? results[0] : results);
+        }
+
+        // Generate analysis for each sample, keyed by the sample name from #CHROM
+        const resultsBySample = {};
+        for (const sampleId of sampleIds) {
+          const geneVariants = parsedVCF ? (parsedVCF.geneVariantsBySample[sampleId] || {}) : null;
+          const results = await analyzeSample(
+            sampleId,
+            geneVariants,
+            validDrugs,
+            timestamp,
+            parsedInput,
+            getSampleCalls(parsedCalls, sampleId),
+            clinical.inputs
+          );
+          resultsBySample[sampleId] = results.length === 1 ? results[0] : results;
+        }
+
+        // Single sample: return ONLY the result object(s) - no wrapper for competition schema
+        if (sampleIds.length === 1) {
+          return res.json(resultsBySample[sampleIds[0]]);
+        }
+
+        res.json({ samples: resultsBySample });
+      } catch (error) {
+        console.error('Analysis error:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Internal server error during analysis' });
+        }
+      }
     });
 
   } catch (error) {
@@ -171,42 +600,79 @@ router.get('/supported-drugs', (req, res) => {
   });
 });
 
+/**
+ * GET /api/knowledge-base/version
+ * Returns the active knowledge base (tables behind phenotype and risk rules)
+ */
+router.get('/knowledge-base/version', (req, res) => {
+  res.json(getKnowledgeBaseInfo());
+});
+
 /**
  * POST /api/validate-vcf
  * Validate VCF file without full analysis
+ * 
+ * Returns a line-level report: `diagnostics` lists each problem with its
+ * line number, severity ("error" or "warning"), code and message. Any error
+ * makes the file invalid (HTTP 400); warnings alone still return valid.
  */
 router.post('/validate-vcf', (req, res) => {
   try {
     const upload = req.app.get('upload');
     
-    upload.single('vcfFile')(req, res, (err) => {
-      if (err) {
-        return res.status(400).json({ valid: false, error: err.message });
-      }
+    upload.single('vcfFile')(req, res, async (err) => {
+      // Everything below runs after the router's try/catch has returned, so
+      // errors must be caught here or they become unhandled rejections
+      try {
+        if (err) {
+          return res.status(400).json({ valid: false, error: err.message });
+        }
 
-      if (!req.file) {
-        return res.status(400).json({ valid: false, error: 'No file uploaded' });
-      }
+        if (!req.file) {
+          return res.status(400).json({ valid: false, error: 'No file uploaded' });
+        }
 
-      const vcfContent = req.file.buffer.toString('utf-8');
-      const validation = validateVCF(vcfContent);
+        res.on('close', () => removeUpload(req.file));
+
+        // Line-level structural diagnostics (errors and warnings with line numbers);
+        // consumer raw data files have no VCF structure to check
+        const format = await detectGenotypeFileFormat(req.file.path);
+        const report = format === 'vcf'
+          ? await validateVCFFile(req.file.path)
+          : { valid: true, summary: { errors: 0, warnings: 0 }, diagnostics: [] };
       
-      if (!validation.valid) {
-        return res.status(400).json(validation);
-      }
+        if (!report.valid) {
+          return res.status(400).json(report);
+        }
 
-      const parsed = parseVCF(vcfContent);
+        const parsed = await parseUpload(req.file.path);
       
-      res.json({
-        valid: true,
-        stats: {
-          totalVariants: parsed.totalVariants,
-          genesFound: Object.keys(parsed.geneVariants),
-          variantsByGene: Object.fromEntries(
-            Object.entries(parsed.geneVariants).map(([gene, variants]) => [gene, variants.length])
-          )
-        }
-      });
+        if (!parsed.success) {
+          return res.status(400).json({ valid: false, error: parsed.error });
+        }
+      
+        res.json({
+          valid: true,
+          summary: report.summary,
+          diagnostics: report.diagnostics,
+          stats: {
+            inputFormat: parsed.inputFormat,
+            caveats: parsed.caveats,
+            totalVariants: parsed.totalVariants,
+            samples: parsed.samples,
+            genomeBuild: parsed.genomeBuild,
+            genesFound: Object.keys(parsed.geneVariants),
+            variantsByGene: Object.fromEntries(
+              Object.entries(parsed.geneVariants).map(([gene, variants]) => [gene, variants.length])
+            )
+          }
+        });
+      } catch (error) {
+        console.error('Validation error:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ valid: false, error: 'Internal server error' });
+        }
+      }
     });
 
   } catch (error) {
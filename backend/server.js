@@ -2,8 +2,10 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const path = require('path');
+const os = require('os');
 const analyzeRoutes = require('./routes/analyze');
+const { isGenotypeFilename, formatMegabytes, MAX_UPLOAD_BYTES } = require('./parser/vcfReader');
+const { getKnowledgeBaseInfo } = require('./services/knowledgeBase');
 
 const app = express();
 
@@ -32,18 +34,22 @@ app.use(express.json());
    MULTER CONFIGURATION
 ================================= */
 
-const storage = multer.memoryStorage();
+// Uploads stream to a temp file (not RAM) so exome/genome VCFs fit;
+// routes remove the file once parsing finishes
+const storage = multer.diskStorage({
+  destination: process.env.UPLOAD_TMP_DIR || os.tmpdir()
+});
+
+const FILE_TYPE_ERROR = 'Only .vcf, .vcf.gz, 23andMe/AncestryDNA .txt or diplotype call (.tsv, .aldy) files are allowed';
 
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: MAX_UPLOAD_BYTES // MAX_UPLOAD_MB (default 512MB, compressed upload size)
   },
   fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-
-    if (ext !== '.vcf') {
-      return cb(new Error('Only .vcf files are allowed'), false);
+    if (!isGenotypeFilename(file.originalname)) {
+      return cb(new Error(FILE_TYPE_ERROR), false);
     }
 
     cb(null, true);
@@ -77,7 +83,7 @@ app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
-        error: 'File size exceeds 5MB limit'
+        error: `File size exceeds ${formatMegabytes(MAX_UPLOAD_BYTES)} limit`
       });
     }
 
@@ -86,7 +92,7 @@ app.use((err, req, res, next) => {
     });
   }
 
-  if (err.message === 'Only .vcf files are allowed') {
+  if (err.message === FILE_TYPE_ERROR) {
     return res.status(400).json({
       error: err.message
     });
@@ -103,6 +109,8 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 PharmaGuard backend running on port ${PORT}`);
+  const knowledgeBase = getKnowledgeBaseInfo();
+  console.log(`📚 Knowledge base ${knowledgeBase.name} v${knowledgeBase.version}`);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,345 @@
+/**
+ * Allele Definition Module
+ * Built-in star-allele definition tables for position-based calling
+ *
+ * Used when a VCF carries no GENE=/STAR= INFO annotations (raw GATK,
+ * DeepVariant, etc. output). Each entry is the core defining variant of a
+ * star allele: GRCh38 position, REF/ALT on the plus strand, and dbSNP rsID.
+ */
+
+const { normalizeContig } = require('../parser/genomeBuild');
+
+// ============================================================================
+// CORE DEFINING VARIANTS (GRCh38, plus strand)
+// Only variants that uniquely identify an allele are listed; variants shared
+// by several haplotypes (e.g., CYP2D6 100C>T) are deliberately left out so
+// they cannot introduce a spurious second allele.
+// ============================================================================
+
+/**
+ * CYP2D6 (chr22, gene on minus strand)
+ */
+const CYP2D6_ALLELE_DEFINITIONS = [
+  { allele: '*4', rsid: 'rs3892097', chrom: '22', pos: 42128945, ref: 'C', alt: 'T' },      // 1847G>A splice defect
+  { allele: '*17', rsid: 'rs28371706', chrom: '22', pos: 42129770, ref: 'G', alt: 'A' },    // 1023C>T
+  { allele: '*41', rsid: 'rs28371725', chrom: '22', pos: 42127803, ref: 'C', alt: 'T' },    // 2988G>A splice
+];
+
+/**
+ * CYP2C19 (chr10)
+ */
+const CYP2C19_ALLELE_DEFINITIONS = [
+  { allele: '*2', rsid: 'rs4244285', chrom: '10', pos: 94781859, ref: 'G', alt: 'A' },      // 681G>A splice defect
+  { allele: '*3', rsid: 'rs4986893', chrom: '10', pos: 94780653, ref: 'G', alt: 'A' },      // 636G>A stop gained
+  { allele: '*4', rsid: 'rs28399504', chrom: '10', pos: 94762706, ref: 'A', alt: 'G' },     // 1A>G start lost
+  { allele: '*17', rsid: 'rs12248560', chrom: '10', pos: 94761900, ref: 'C', alt: 'T' },    // -806C>T promoter
+];
+
+/**
+ * CYP2C9 (chr10)
+ */
+const CYP2C9_ALLELE_DEFINITIONS = [
+  { allele: '*2', rsid: 'rs1799853', chrom: '10', pos: 94942290, ref: 'C', alt: 'T' },      // 430C>T (R144C)
+  { allele: '*3', rsid: 'rs1057910', chrom: '10', pos: 94981296, ref: 'A', alt: 'C' },      // 1075A>C (I359L)
+];
+
+/**
+ * CYP2B6 (chr19). *6 is 516G>T + 785A>G in cis (composite of *9 and *4
+ * in genes.json); either variant alone is *9 or *4.
+ */
+const CYP2B6_ALLELE_DEFINITIONS = [
+  { allele: '*9', rsid: 'rs3745274', chrom: '19', pos: 41006936, ref: 'G', alt: 'T' },      // 516G>T (Q172H)
+  { allele: '*4', rsid: 'rs2279343', chrom: '19', pos: 41009358, ref: 'A', alt: 'G' },      // 785A>G (K262R)
+  { allele: '*18', rsid: 'rs28399499', chrom: '19', pos: 41012316, ref: 'T', alt: 'C' },    // 983T>C (I328T)
+];
+
+/**
+ * SLCO1B1 (chr12)
+ */
+const SLCO1B1_ALLELE_DEFINITIONS = [
+  { allele: '*1B', rsid: 'rs2306283', chrom: '12', pos: 21176804, ref: 'A', alt: 'G' },     // 388A>G
+  { allele: '*5', rsid: 'rs4149056', chrom: '12', pos: 21178615, ref: 'T', alt: 'C' },      // 521T>C (V174A)
+];
+
+/**
+ * TPMT (chr6, gene on minus strand)
+ */
+const TPMT_ALLELE_DEFINITIONS = [
+  { allele: '*2', rsid: 'rs1800462', chrom: '6', pos: 18143724, ref: 'C', alt: 'G' },       // 238G>C
+  { allele: '*3B', rsid: 'rs1800460', chrom: '6', pos: 18138997, ref: 'C', alt: 'T' },      // 460G>A
+  { allele: '*3C', rsid: 'rs1142345', chrom: '6', pos: 18130687, ref: 'T', alt: 'C' },      // 719A>G
+];
+
+/**
+ * HLA-A (chr6) - tag SNP proxy for *31:01, not the HLA allele itself
+ * (strongest in European and Japanese ancestry)
+ */
+const HLA_A_ALLELE_DEFINITIONS = [
+  { allele: '*31:01', rsid: 'rs1061235', chrom: '6', pos: 29945521, ref: 'A', alt: 'T' },   // HLA-A 3' UTR tag
+];
+
+/**
+ * HLA-B (chr6) - tag SNP proxies for *57:01 and *58:01
+ */
+const HLA_B_ALLELE_DEFINITIONS = [
+  { allele: '*58:01', rsid: 'rs9263726', chrom: '6', pos: 31164337, ref: 'G', alt: 'A' },   // PSORS1C1 tag
+  { allele: '*57:01', rsid: 'rs2395029', chrom: '6', pos: 31464003, ref: 'T', alt: 'G' },   // HCP5 tag
+];
+
+/**
+ * CYP3A5 (chr7, gene on minus strand). GRCh38 carries *1 at rs776746;
+ * *3 is the common allele in most populations.
+ */
+const CYP3A5_ALLELE_DEFINITIONS = [
+  { allele: '*3', rsid: 'rs776746', chrom: '7', pos: 99672916, ref: 'T', alt: 'C' },       // 6986A>G (splice defect)
+  { allele: '*6', rsid: 'rs10264272', chrom: '7', pos: 99665212, ref: 'C', alt: 'T' },     // 14690G>A (exon 7 skipping)
+  { allele: '*7', rsid: 'rs41303343', chrom: '7', pos: 99652770, ref: 'T', alt: 'TA' },    // 27131_27132insT (frameshift)
+];
+
+/**
+ * UGT1A1 (chr2). *28, *36 and *37 are lengths of the promoter (TA)n repeat
+ * (*1 = (TA)6): callers place the extra or missing TA units anywhere in the
+ * tract, so these definitions carry the tract and also match by repeat-length
+ * change (see findRepeatDefinition).
+ */
+const UGT1A1_TA_REPEAT = { unit: 'AT', start: 233760234, end: 233760245 };
+const UGT1A1_ALLELE_DEFINITIONS = [
+  { allele: '*28', rsid: 'rs3064744', chrom: '2', pos: 233760233, ref: 'C', alt: 'CAT', repeat: UGT1A1_TA_REPEAT },   // (TA)7
+  { allele: '*37', rsid: 'rs3064744', chrom: '2', pos: 233760233, ref: 'C', alt: 'CATAT', repeat: UGT1A1_TA_REPEAT }, // (TA)8
+  { allele: '*36', rsid: 'rs3064744', chrom: '2', pos: 233760233, ref: 'CAT', alt: 'C', repeat: UGT1A1_TA_REPEAT },   // (TA)5
+  { allele: '*6', rsid: 'rs4148323', chrom: '2', pos: 233760498, ref: 'G', alt: 'A' },      // 211G>A (G71R)
+];
+
+/**
+ * DPYD (chr1, gene on minus strand)
+ */
+const DPYD_ALLELE_DEFINITIONS = [
+  { allele: '*2A', rsid: 'rs3918290', chrom: '1', pos: 97450058, ref: 'C', alt: 'T' },      // c.1905+1G>A
+  { allele: '*13', rsid: 'rs55886062', chrom: '1', pos: 97515839, ref: 'A', alt: 'C' },     // c.1679T>G
+  { allele: '*rs67376798', rsid: 'rs67376798', chrom: '1', pos: 97082391, ref: 'T', alt: 'A' }, // c.2846A>T
+];
+
+/**
+ * NUDT15 (chr13)
+ */
+const NUDT15_ALLELE_DEFINITIONS = [
+  { allele: '*3', rsid: 'rs116855232', chrom: '13', pos: 48045719, ref: 'C', alt: 'T' },    // 415C>T (R139C)
+];
+
+/**
+ * VKORC1 (chr16, gene on minus strand) - warfarin dosing site, not a star allele
+ */
+const VKORC1_ALLELE_DEFINITIONS = [
+  { allele: '*rs9923231', rsid: 'rs9923231', chrom: '16', pos: 31096368, ref: 'C', alt: 'T' }, // -1639G>A
+];
+
+/**
+ * CYP4F2 (chr19, gene on minus strand) - warfarin dosing site
+ */
+const CYP4F2_ALLELE_DEFINITIONS = [
+  { allele: '*3', rsid: 'rs2108622', chrom: '19', pos: 15879621, ref: 'C', alt: 'T' },      // 1297G>A (V433M)
+];
+
+/**
+ * G6PD (chrX, gene on minus strand) - X-linked, males carry one copy.
+ * *A- is tagged by 202G>A, which occurs together with 376A>G; 376A>G on its
+ * own (the non-deficient A allele) is left out. *1 is the B reference.
+ */
+const G6PD_ALLELE_DEFINITIONS = [
+  { allele: '*A-', rsid: 'rs1050828', chrom: 'X', pos: 154536002, ref: 'C', alt: 'T' },      // c.202G>A (V68M)
+  { allele: '*Mediterranean', rsid: 'rs5030868', chrom: 'X', pos: 154534419, ref: 'G', alt: 'A' }, // c.563C>T (S188F)
+  { allele: '*Canton', rsid: 'rs72554665', chrom: 'X', pos: 154532439, ref: 'C', alt: 'A' },  // c.1376G>T (R459L)
+];
+
+/**
+ * Master gene → allele definition table
+ */
+const GENE_ALLELE_DEFINITIONS = {
+  'CYP2D6': CYP2D6_ALLELE_DEFINITIONS,
+  'CYP2C19': CYP2C19_ALLELE_DEFINITIONS,
+  'CYP2C9': CYP2C9_ALLELE_DEFINITIONS,
+  'CYP2B6': CYP2B6_ALLELE_DEFINITIONS,
+  'SLCO1B1': SLCO1B1_ALLELE_DEFINITIONS,
+  'TPMT': TPMT_ALLELE_DEFINITIONS,
+  'DPYD': DPYD_ALLELE_DEFINITIONS,
+  'NUDT15': NUDT15_ALLELE_DEFINITIONS,
+  'CYP3A5': CYP3A5_ALLELE_DEFINITIONS,
+  'UGT1A1': UGT1A1_ALLELE_DEFINITIONS,
+  'HLA-A': HLA_A_ALLELE_DEFINITIONS,
+  'HLA-B': HLA_B_ALLELE_DEFINITIONS,
+  'VKORC1': VKORC1_ALLELE_DEFINITIONS,
+  'CYP4F2': CYP4F2_ALLELE_DEFINITIONS,
+  'G6PD': G6PD_ALLELE_DEFINITIONS,
+};
+
+// Lookup indexes built once at load: "chrom:pos:ref:alt" and rsID → definition
+// (repeat alleles share one rsID; the index keeps the first, e.g. UGT1A1 *28),
+// plus the definitions of repeat-length alleles
+const DEFINITIONS_BY_POSITION = {};
+const DEFINITIONS_BY_RSID = {};
+const REPEAT_DEFINITIONS = [];
+
+for (const [gene, definitions] of Object.entries(GENE_ALLELE_DEFINITIONS)) {
+  for (const definition of definitions) {
+    const entry = { gene, ...definition };
+    DEFINITIONS_BY_POSITION[positionKey(entry.chrom, entry.pos, entry.ref, entry.alt)] = entry;
+    if (!DEFINITIONS_BY_RSID[entry.rsid.toLowerCase()]) {
+      DEFINITIONS_BY_RSID[entry.rsid.toLowerCase()] = entry;
+    }
+    if (entry.repeat) {
+      REPEAT_DEFINITIONS.push(entry);
+    }
+  }
+}
+
+// ============================================================================
+// LOOKUP FUNCTIONS
+// ============================================================================
+
+/**
+ * Build a position lookup key (contig names are normalized, "22" = "chr22")
+ * @param {string} chrom - Chromosome
+ * @param {number|string} pos - 1-based position
+ * @param {string} ref - Reference allele
+ * @param {string} alt - Alternate allele
+ * @returns {string} Lookup key
+ */
+function positionKey(chrom, pos, ref, alt) {
+  return `${normalizeContig(chrom)}:${parseInt(pos, 10)}:${String(ref).toUpperCase()}:${String(alt).toUpperCase()}`;
+}
+
+/**
+ * Find the star-allele definition matching a VCF record
+ *
+ * MATCHING RULES:
+ * - Exact GRCh38 position + REF + ALT match wins
+ * - Otherwise an indel inside a repeat tract matches the repeat allele with
+ *   the same length change (UGT1A1 (TA)7 = *28 wherever the TA is placed)
+ * - Otherwise the rsID (ID column) matches if the ALT allele agrees
+ * - No match → null (record does not define a known star allele)
+ *
+ * @param {object} record - Record with chrom, pos (GRCh38), ref, alt, id
+ * @returns {object|null} Definition ({ gene, allele, rsid, chrom, pos, ref, alt })
+ */
+function findAlleleDefinition(record) {
+  const byPosition = DEFINITIONS_BY_POSITION[positionKey(record.chrom, record.pos, record.ref, record.alt)];
+  if (byPosition) {
+    return byPosition;
+  }
+
+  const byRepeat = findRepeatDefinition(record);
+  if (byRepeat) {
+    return byRepeat;
+  }
+
+  const ids = String(record.id || '').split(';').map(id => id.trim().toLowerCase());
+  for (const id of ids) {
+    const byRsid = DEFINITIONS_BY_RSID[id];
+    if (byRsid && String(record.alt).toUpperCase() === byRsid.alt) {
+      return byRsid;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the repeat-length allele an indel represents
+ *
+ * RULES:
+ * - The record must be a normalized indel (one shared padding base, as
+ *   produced by normalizeAlleles) anchored inside the tract or on the base
+ *   just before it
+ * - The inserted/deleted sequence must be whole copies of the repeat unit in
+ *   any rotation ("AT" or "TA")
+ * - The length change must equal the definition's: (TA)8 is *37, not *28
+ *
+ * @param {object} record - Record with chrom, pos (GRCh38), ref, alt
+ * @returns {object|null} Definition, or null when no repeat allele matches
+ */
+function findRepeatDefinition(record) {
+  const ref = String(record.ref).toUpperCase();
+  const alt = String(record.alt).toUpperCase();
+  if (ref.length === alt.length || Math.min(ref.length, alt.length) !== 1 || ref[0] !== alt[0]) {
+    return null;
+  }
+
+  const changed = ref.length > alt.length ? ref.slice(1) : alt.slice(1);
+  const lengthChange = alt.length - ref.length;
+  const chrom = normalizeContig(record.chrom);
+  const pos = parseInt(record.pos, 10);
+
+  return REPEAT_DEFINITIONS.find(d =>
+    normalizeContig(d.chrom) === chrom &&
+    pos >= d.repeat.start - 1 && pos <= d.repeat.end &&
+    d.alt.length - d.ref.length === lengthChange &&
+    isRepeatOf(changed, d.repeat.unit)
+  ) || null;
+}
+
+/**
+ * Check whether a sequence is whole copies of a repeat unit (any rotation)
+ * @param {string} sequence - Inserted or deleted bases
+ * @param {string} unit - Repeat unit (e.g., "AT")
+ * @returns {boolean} True for e.g. "ATAT" or "TATA" with unit "AT"
+ */
+function isRepeatOf(sequence, unit) {
+  if (sequence.length % unit.length !== 0) {
+    return false;
+  }
+  const copies = sequence.length / unit.length;
+  for (let shift = 0; shift < unit.length; shift++) {
+    const rotation = unit.slice(shift) + unit.slice(0, shift);
+    if (rotation.repeat(copies) === sequence) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the star-allele definition for a dbSNP rsID
+ * Used for genotyping-array input, which identifies markers by rsID only.
+ * @param {string} rsid - dbSNP rsID (e.g., "rs4244285")
+ * @returns {object|null} Definition ({ gene, allele, rsid, chrom, pos, ref, alt })
+ */
+function findAlleleDefinitionByRsid(rsid) {
+  return DEFINITIONS_BY_RSID[String(rsid || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Find every star-allele definition inside a GRCh38 interval
+ * Used to expand gVCF reference blocks onto the defining positions they cover.
+ * @param {string} chrom - Chromosome ("22" or "chr22")
+ * @param {number} start - 1-based start (inclusive)
+ * @param {number} end - 1-based end (inclusive)
+ * @returns {Array} Definitions ({ gene, allele, rsid, chrom, pos, ref, alt })
+ */
+function findAlleleDefinitionsInInterval(chrom, start, end) {
+  const normalizedChrom = normalizeContig(chrom);
+  return Object.values(DEFINITIONS_BY_RSID).filter(d =>
+    normalizeContig(d.chrom) === normalizedChrom && d.pos >= start && d.pos <= end
+  );
+}
+
+module.exports = {
+  findAlleleDefinition,
+  findAlleleDefinitionByRsid,
+  findAlleleDefinitionsInInterval,
+  GENE_ALLELE_DEFINITIONS,
+  CYP2D6_ALLELE_DEFINITIONS,
+  CYP2C19_ALLELE_DEFINITIONS,
+  CYP2C9_ALLELE_DEFINITIONS,
+  CYP2B6_ALLELE_DEFINITIONS,
+  SLCO1B1_ALLELE_DEFINITIONS,
+  TPMT_ALLELE_DEFINITIONS,
+  DPYD_ALLELE_DEFINITIONS,
+  NUDT15_ALLELE_DEFINITIONS,
+  CYP3A5_ALLELE_DEFINITIONS,
+  UGT1A1_ALLELE_DEFINITIONS,
+  HLA_A_ALLELE_DEFINITIONS,
+  HLA_B_ALLELE_DEFINITIONS,
+  VKORC1_ALLELE_DEFINITIONS,
+  CYP4F2_ALLELE_DEFINITIONS,
+  G6PD_ALLELE_DEFINITIONS,
+};
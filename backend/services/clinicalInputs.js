@@ -0,0 +1,154 @@
+/**
+ * Clinical Inputs Module
+ * Parses the optional patient covariates sent with /analyze (age, height,
+ * weight, race, concomitant drugs) used by dose-prediction algorithms, and
+ * the patient's sex used to interpret X-linked genes (G6PD)
+ *
+ * Every field is optional. A field that is present must be valid: a bad value
+ * fails the request instead of being silently dropped from a dose calculation.
+ */
+
+// ============================================================================
+// ACCEPTED VALUES
+// ============================================================================
+
+/**
+ * Numeric covariates: form field → plausible adult range
+ */
+const NUMERIC_INPUTS = {
+  age: { min: 18, max: 120, unit: 'years' },
+  height_cm: { min: 100, max: 250, unit: 'cm' },
+  weight_kg: { min: 20, max: 350, unit: 'kg' }
+};
+
+/**
+ * Race/ancestry categories (IWPC) and the spellings accepted for each
+ */
+const RACE_CATEGORIES = {
+  'White': ['WHITE', 'CAUCASIAN', 'EUROPEAN'],
+  'Asian': ['ASIAN', 'EAST ASIAN', 'SOUTH ASIAN'],
+  'Black or African American': ['BLACK', 'BLACK OR AFRICAN AMERICAN', 'AFRICAN AMERICAN', 'AFRICAN'],
+  'Missing or Mixed': ['MIXED', 'MISSING OR MIXED', 'OTHER', 'UNKNOWN']
+};
+
+/**
+ * Sex values and the spellings accepted for each
+ */
+const SEX_VALUES = {
+  'male': ['M', 'MALE'],
+  'female': ['F', 'FEMALE']
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse the clinical covariates from a request body
+ *
+ * RULES:
+ * - Empty or absent fields are null (interacting_drugs: empty list)
+ * - age, height_cm and weight_kg must be numbers within the adult range
+ * - race must match one of the IWPC categories (case-insensitive)
+ * - sex is "male" or "female" (M/F accepted)
+ * - interacting_drugs is a comma-separated list, uppercased like `drugs`
+ *
+ * @param {object} body - Request body (multipart form fields)
+ * @returns {object} { success, inputs } or { success: false, error }
+ */
+function parseClinicalInputs(body = {}) {
+  const inputs = {};
+
+  for (const [field, range] of Object.entries(NUMERIC_INPUTS)) {
+    const raw = readField(body, field);
+    if (raw === null) {
+      inputs[field] = null;
+      continue;
+    }
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < range.min || value > range.max) {
+      return {
+        success: false,
+        error: `Invalid ${field}: ${raw}. Expected ${range.min}-${range.max} ${range.unit}`
+      };
+    }
+    inputs[field] = value;
+  }
+
+  const race = readField(body, 'race');
+  inputs.race = race === null ? null : normalizeRace(race);
+  if (race !== null && !inputs.race) {
+    return {
+      success: false,
+      error: `Invalid race: ${race}. Expected one of: ${Object.keys(RACE_CATEGORIES).join(', ')}`
+    };
+  }
+
+  const sex = readField(body, 'sex');
+  inputs.sex = sex === null ? null : normalizeSex(sex);
+  if (sex !== null && !inputs.sex) {
+    return {
+      success: false,
+      error: `Invalid sex: ${sex}. Expected male or female`
+    };
+  }
+
+  const interacting = readField(body, 'interacting_drugs');
+  inputs.interacting_drugs = interacting === null
+    ? []
+    : [...new Set(interacting.split(',').map(d => d.trim().toUpperCase()).filter(d => d))];
+
+  return { success: true, inputs };
+}
+
+/**
+ * Read a trimmed form field
+ * @param {object} body - Request body
+ * @param {string} field - Field name
+ * @returns {string|null} Value, or null when absent or blank
+ */
+function readField(body, field) {
+  const value = body[field];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Map a race/ancestry value onto its IWPC category
+ * @param {string} value - Value from the request
+ * @returns {string|null} Category name, or null when unrecognized
+ */
+function normalizeRace(value) {
+  const normalized = value.toUpperCase().replace(/[_\s]+/g, ' ');
+  for (const [category, spellings] of Object.entries(RACE_CATEGORIES)) {
+    if (spellings.includes(normalized)) {
+      return category;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a sex value onto "male" or "female"
+ * @param {string} value - Value from the request
+ * @returns {string|null} Sex, or null when unrecognized
+ */
+function normalizeSex(value) {
+  const normalized = value.toUpperCase();
+  for (const [sex, spellings] of Object.entries(SEX_VALUES)) {
+    if (spellings.includes(normalized)) {
+      return sex;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseClinicalInputs,
+  RACE_CATEGORIES,
+  SEX_VALUES,
+};
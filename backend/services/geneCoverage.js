@@ -0,0 +1,203 @@
+/**
+ * Gene Coverage Module
+ * Tracks which allele-defining sites of a gene were actually genotyped so a
+ * missing or no-called site is never mistaken for a reference (*1) call
+ *
+ * The site panel for a gene is always the built-in core defining variants
+ * (alleleDefinitions.js), plus the file's own STAR-annotated sites when the
+ * VCF carries STAR= INFO annotations for the gene. Annotations never replace
+ * the built-in sites: a partly annotated file cannot hide a missing one.
+ */
+
+const { GENE_ALLELE_DEFINITIONS } = require('./alleleDefinitions');
+const { normalizeContig } = require('../parser/genomeBuild');
+
+// Diplotype and phenotype reported when coverage cannot support a call
+const INDETERMINATE = 'Indeterminate';
+
+// Zygosity values that count as a genotype call (reference included)
+const CALLED_ZYGOSITIES = ['hom_ref', 'het', 'hom_alt', 'hemizygous', 'hemizygous_ref'];
+
+/**
+ * Assess the coverage of a gene's defining sites in one sample
+ *
+ * SITE STATUS RULES:
+ * - called: a record at the site has a genotype (0/0 included) and passed QC
+ * - no_call: records at the site are "./." or carry no genotype (sites-only)
+ * - filtered: the site was genotyped but every call failed the quality gates
+ * - missing: no record at the site
+ *
+ * GENE STATUS:
+ * - complete: every site called
+ * - partial: at least one site called, at least one not
+ * - not_tested: no site called (gene absent, all no-calls, or all filtered)
+ *
+ * @param {string} gene - Gene symbol
+ * @param {Array} variants - All variants for the gene in this sample (QC-failed included)
+ * @returns {object} Coverage summary
+ */
+function assessGeneCoverage(gene, variants) {
+  const smallVariants = (variants || []).filter(v => !v.sv_type);
+  const annotated = smallVariants.filter(v => v.allele_source === 'info');
+  const builtInSites = getBuiltInSites(gene);
+  const annotatedSites = getAnnotatedSites(annotated)
+    .filter(site => !builtInSites.some(builtIn => isSameSite(site, builtIn)));
+  const panel = annotatedSites.length > 0 ? 'built_in+file_annotations' : 'built_in';
+  const sites = [...builtInSites, ...annotatedSites];
+
+  const missing = [];
+  const noCall = [];
+  const filtered = [];
+  let called = 0;
+
+  for (const site of sites) {
+    const records = smallVariants.filter(v => matchesSite(v, site));
+    const status = getSiteStatus(records);
+    if (status === 'called') {
+      called++;
+    } else if (status === 'no_call') {
+      noCall.push(site.rsid || `${site.chrom}:${site.pos}`);
+    } else if (status === 'filtered') {
+      filtered.push(site.rsid || `${site.chrom}:${site.pos}`);
+    } else {
+      missing.push(site.rsid || `${site.chrom}:${site.pos}`);
+    }
+  }
+
+  let status = 'partial';
+  if (sites.length === 0 || called === 0) {
+    status = 'not_tested';
+  } else if (called === sites.length) {
+    status = 'complete';
+  }
+
+  return {
+    status,
+    panel,
+    sites_expected: sites.length,
+    sites_called: called,
+    missing_sites: missing,
+    no_call_sites: noCall,
+    filtered_sites: filtered
+  };
+}
+
+/**
+ * Decide whether coverage supports a diplotype
+ *
+ * RULES:
+ * - not_tested → Indeterminate (no genotype evidence at all), unless the
+ *   copy number alone settles a diplotype without *1 (0 copies → *5/*5)
+ * - Any site missing, no-called or filtered → a *1 haplotype cannot be
+ *   asserted, so diplotypes containing *1 (or *1xN) are Indeterminate
+ * - Diplotypes built only from detected alleles (e.g., *4/*4, *5/*5) stand
+ *
+ * @param {object} coverage - Result of assessGeneCoverage
+ * @param {string} diplotype - Diplotype from resolveDiplotype
+ * @param {number|null} copyNumber - Gene copy number from resolveDiplotype
+ * @returns {boolean} Whether the diplotype must be reported as Indeterminate
+ */
+function isIndeterminate(coverage, diplotype, copyNumber = null) {
+  const assertsReference = String(diplotype || '').split('/').some(allele => /^\*1(x(N|\d+))?$/.test(allele));
+
+  if (coverage.status === 'not_tested') {
+    return !Number.isFinite(copyNumber) || assertsReference;
+  }
+  if (coverage.status === 'complete') {
+    return false;
+  }
+  return assertsReference;
+}
+
+/**
+ * Collect the distinct built-in defining sites of a gene
+ * Repeat-length alleles (UGT1A1 *28/*36/*37) share one site.
+ * @param {string} gene - Gene symbol
+ * @returns {Array} Sites ({ rsid, chrom, pos, allele })
+ */
+function getBuiltInSites(gene) {
+  const sites = new Map();
+  for (const d of GENE_ALLELE_DEFINITIONS[gene] || []) {
+    if (!sites.has(d.rsid)) {
+      sites.set(d.rsid, {
+        rsid: d.rsid,
+        chrom: normalizeContig(d.chrom),
+        pos: d.pos,
+        allele: d.allele
+      });
+    }
+  }
+  return [...sites.values()];
+}
+
+/**
+ * Collect distinct sites from STAR-annotated records
+ * @param {Array} annotated - Records with allele_source "info"
+ * @returns {Array} Sites ({ rsid, chrom, pos, allele })
+ */
+function getAnnotatedSites(annotated) {
+  const sites = new Map();
+  for (const variant of annotated) {
+    const key = variant.rsid || `${variant.chrom}:${variant.pos_grch38 || variant.pos}`;
+    if (!sites.has(key)) {
+      sites.set(key, {
+        rsid: variant.rsid,
+        chrom: variant.chrom,
+        pos: variant.pos_grch38,
+        allele: variant.star_allele
+      });
+    }
+  }
+  return [...sites.values()];
+}
+
+/**
+ * Check whether two sites are the same (same rsID or GRCh38 position)
+ * @param {object} a - Site
+ * @param {object} b - Site
+ * @returns {boolean} Whether the sites coincide
+ */
+function isSameSite(a, b) {
+  if (a.rsid && b.rsid && a.rsid.toLowerCase() === b.rsid.toLowerCase()) {
+    return true;
+  }
+  return Number.isFinite(a.pos) && a.pos === b.pos && a.chrom === b.chrom;
+}
+
+/**
+ * Check whether a record sits at a defining site (same rsID or GRCh38 position)
+ * @param {object} variant - Parsed variant
+ * @param {object} site - Defining site
+ * @returns {boolean} Whether the record covers the site
+ */
+function matchesSite(variant, site) {
+  if (site.rsid && variant.rsid && variant.rsid.toLowerCase() === site.rsid.toLowerCase()) {
+    return true;
+  }
+  return Number.isFinite(site.pos) &&
+    variant.pos_grch38 === site.pos &&
+    variant.chrom === site.chrom;
+}
+
+/**
+ * Status of one site from the records covering it
+ * @param {Array} records - Records at the site
+ * @returns {string} "called", "no_call", "filtered" or "missing"
+ */
+function getSiteStatus(records) {
+  if (records.length === 0) {
+    return 'missing';
+  }
+
+  const genotyped = records.filter(v => CALLED_ZYGOSITIES.includes(v.zygosity));
+  if (genotyped.length === 0) {
+    return 'no_call';
+  }
+  return genotyped.some(v => v.quality_passed !== false) ? 'called' : 'filtered';
+}
+
+module.exports = {
+  assessGeneCoverage,
+  isIndeterminate,
+  INDETERMINATE,
+};
@@ -0,0 +1,657 @@
+/**
+ * Knowledge Base Module
+ * Loads the versioned CPIC knowledge base (allele functions, diplotype →
+ * phenotype tables, drug risk rules, rationale text) from JSON files and
+ * validates it against the schema the rule engine expects
+ *
+ * The files live in backend/knowledge/ (override with KNOWLEDGE_BASE_DIR):
+ * - manifest.json: name, version, release date, sources, data file names
+ * - genes.json: per-gene phenotypes, allele activity values and frequencies,
+ *   diplotype tables
+ * - drugs.json: risk labels, per-drug gene, risk rules and rationales;
+ *   multi-gene drugs (thiopurines: TPMT + NUDT15) add combined rules
+ *
+ * Every data file carries the manifest version; a table update is a new
+ * version of the files, not a code change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KNOWLEDGE_BASE_DIR = process.env.KNOWLEDGE_BASE_DIR || path.join(__dirname, '..', 'knowledge');
+
+// How a gene's phenotype is derived
+const PHENOTYPE_METHODS = ['diplotype_table', 'activity_score', 'carrier'];
+
+// Phenotypes of carrier-status genes (HLA): the drug's allele is present or not
+const CARRIER_PHENOTYPES = ['Positive', 'Negative'];
+
+// Direction of an Adjust Dosage rule (omitted: a reduction, as for most drugs)
+const DOSE_DIRECTIONS = ['increase', 'decrease'];
+
+// Loaded once, on first use (server startup)
+let activeKnowledgeBase = null;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Read, validate and compile a knowledge base directory
+ * @param {string} directory - Directory holding manifest.json
+ * @returns {object} { success, knowledgeBase } or { success: false, errors }
+ */
+function loadKnowledgeBase(directory = KNOWLEDGE_BASE_DIR) {
+  let manifest;
+  let genesFile;
+  let drugsFile;
+
+  try {
+    manifest = readJSON(path.join(directory, 'manifest.json'));
+    const files = manifest.files || {};
+    genesFile = readJSON(path.join(directory, files.genes || 'genes.json'));
+    drugsFile = readJSON(path.join(directory, files.drugs || 'drugs.json'));
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+
+  const errors = validateKnowledgeBase(manifest, genesFile, drugsFile);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  return {
+    success: true,
+    knowledgeBase: compileKnowledgeBase(manifest, genesFile.genes, drugsFile, directory)
+  };
+}
+
+/**
+ * Get the active knowledge base, loading it on first use
+ * An invalid knowledge base stops the server: no rule may run on bad tables.
+ * @returns {object} Compiled knowledge base
+ */
+function getKnowledgeBase() {
+  if (!activeKnowledgeBase) {
+    const loaded = loadKnowledgeBase();
+    if (!loaded.success) {
+      throw new Error(`Invalid knowledge base (${KNOWLEDGE_BASE_DIR}): ${loaded.errors.join('; ')}`);
+    }
+    activeKnowledgeBase = loaded.knowledgeBase;
+  }
+  return activeKnowledgeBase;
+}
+
+/**
+ * Describe the active knowledge base (for the version endpoint)
+ * @returns {object} { name, version, released, sources, genes, drugs }
+ */
+function getKnowledgeBaseInfo() {
+  const knowledgeBase = getKnowledgeBase();
+  return {
+    name: knowledgeBase.name,
+    version: knowledgeBase.version,
+    released: knowledgeBase.released,
+    sources: knowledgeBase.sources,
+    genes: Object.keys(knowledgeBase.genes),
+    drugs: Object.keys(knowledgeBase.drugGeneMap)
+  };
+}
+
+/**
+ * Read and parse one JSON file
+ * @param {string} filePath - File path
+ * @returns {object} Parsed content
+ */
+function readJSON(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Build the lookup structures the rule engine reads
+ * Drug aliases (e.g., 5-FU) share the rules of their drug. drugGenes lists
+ * every gene a drug's risk depends on (primary gene first); doseAlgorithms
+ * holds the dose-prediction model of drugs that have one (warfarin);
+ * carrierAlleles maps each HLA gene of an HLA-screened drug to the allele it
+ * is tested for (carbamazepine: HLA-A *31:01 and HLA-B *15:02).
+ * @param {object} manifest - manifest.json
+ * @param {object} genes - genes.json "genes"
+ * @param {object} drugsFile - drugs.json
+ * @param {string} directory - Source directory
+ * @returns {object} Compiled knowledge base
+ */
+function compileKnowledgeBase(manifest, genes, drugsFile, directory) {
+  const drugGeneMap = {};
+  const drugGenes = {};
+  const riskRules = {};
+  const combinedRules = {};
+  const drugRationales = {};
+  const doseAlgorithms = {};
+  const carrierAlleles = {};
+
+  for (const [drug, entry] of Object.entries(drugsFile.drugs)) {
+    for (const name of [drug, ...(entry.aliases || [])]) {
+      drugGeneMap[name] = entry.gene;
+      drugGenes[name] = [entry.gene, ...(entry.combined_with || [])];
+      riskRules[name] = entry.risk_by_phenotype;
+      drugRationales[name] = entry.rationales || {};
+      if (entry.combined_rules) {
+        combinedRules[name] = entry.combined_rules;
+      }
+      if (entry.dose_algorithm) {
+        doseAlgorithms[name] = entry.dose_algorithm;
+      }
+      if (entry.carrier_allele) {
+        carrierAlleles[name] = { [entry.gene]: entry.carrier_allele, ...(entry.combined_carrier_alleles || {}) };
+      }
+    }
+  }
+
+  const severityMap = {};
+  const clinicalActions = {};
+  for (const [label, entry] of Object.entries(drugsFile.risk_labels)) {
+    severityMap[label] = entry.severity;
+    clinicalActions[label] = entry.action;
+  }
+
+  return {
+    name: manifest.name,
+    version: manifest.version,
+    released: manifest.released || null,
+    sources: manifest.sources || [],
+    directory: directory,
+    genes: genes,
+    drugGeneMap: drugGeneMap,
+    drugGenes: drugGenes,
+    riskRules: riskRules,
+    combinedRules: combinedRules,
+    drugRationales: drugRationales,
+    doseAlgorithms: doseAlgorithms,
+    carrierAlleles: carrierAlleles,
+    severityMap: severityMap,
+    clinicalActions: clinicalActions,
+    fallbackRationales: drugsFile.fallback_rationales || {}
+  };
+}
+
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+
+/**
+ * Validate knowledge base files against the rule-engine schema
+ *
+ * SCHEMA RULES:
+ * - manifest: name and version strings; each data file has the same version
+ * - genes: phenotypes list, phenotype_method, diplotype_phenotypes whose values
+ *   are listed phenotypes; optional allele_frequencies within 0-1 (sum <= 1);
+ *   optional phenotype_labels (e.g., CYP3A5 expresser) for listed phenotypes;
+ *   X-linked genes (x_linked: true, G6PD) also map single-allele hemizygous
+ *   diplotypes, at least the reference "*1";
+ *   allele_activity values >= 0 with ordered
+ *   activity_score_phenotypes thresholds (last one unbounded);
+ *   activity_score genes must have both; carrier genes (HLA) instead list
+ *   carrier_alleles, Positive/Negative phenotypes and optional tag_snps
+ *   (carrier allele → rsID);
+ *   optional cis_haplotypes name a "+"-joined cis combination after one of
+ *   its alleles (CYP2C19 "*2+*17" → *2)
+ * - drugs: risk_labels with severity and action (Unknown required); every drug
+ *   names a known gene, has an Unknown rule, and uses only known risk labels
+ *   and phenotype codes; confidences are within 0-1; aliases are unique;
+ *   dose_direction, when given, is "increase" or "decrease"; a rule's own
+ *   rationale (phenotype-specific text, e.g. efavirenz IM vs PM doses) is a
+ *   non-empty string; drugs of a
+ *   carrier gene name one of its carrier_alleles (carrier_allele)
+ * - combined drugs: combined_with names known genes other than the primary;
+ *   combined_rules is a non-empty list whose phenotypes name only the drug's
+ *   genes (a code or list of codes each) and carry a rationale; each carrier
+ *   co-gene names one of its carrier_alleles (combined_carrier_alleles)
+ * - dose_algorithm: numeric intercept and clinical coefficients, race and
+ *   genotype coefficient tables with an Unknown/"Missing or Mixed" fallback,
+ *   dosing sites with three genotype labels (0, 1, 2 ALT copies), interacting
+ *   drug groups that have a coefficient, and adjustments between 0 and 1
+ *
+ * @param {object} manifest - manifest.json
+ * @param {object} genesFile - genes.json
+ * @param {object} drugsFile - drugs.json
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateKnowledgeBase(manifest, genesFile, drugsFile) {
+  const errors = [];
+
+  if (!isNonEmptyString(manifest.name)) {
+    errors.push('manifest.json: "name" is required');
+  }
+  if (!isNonEmptyString(manifest.version)) {
+    errors.push('manifest.json: "version" is required');
+  }
+  if (genesFile.version !== manifest.version) {
+    errors.push(`genes.json: version ${genesFile.version} does not match manifest version ${manifest.version}`);
+  }
+  if (drugsFile.version !== manifest.version) {
+    errors.push(`drugs.json: version ${drugsFile.version} does not match manifest version ${manifest.version}`);
+  }
+
+  const genes = isObject(genesFile.genes) ? genesFile.genes : {};
+  if (Object.keys(genes).length === 0) {
+    errors.push('genes.json: "genes" must list at least one gene');
+  }
+  for (const [gene, entry] of Object.entries(genes)) {
+    errors.push(...validateGene(gene, entry));
+  }
+
+  errors.push(...validateDrugs(drugsFile, genes));
+  return errors;
+}
+
+/**
+ * Validate one genes.json entry
+ * @param {string} gene - Gene symbol
+ * @param {object} entry - Gene entry
+ * @returns {Array} Error messages
+ */
+function validateGene(gene, entry) {
+  const errors = [];
+  const where = `genes.json ${gene}`;
+
+  if (!isObject(entry)) {
+    return [`${where}: entry must be an object`];
+  }
+
+  const phenotypes = Array.isArray(entry.phenotypes) ? entry.phenotypes : [];
+  if (phenotypes.length === 0 || !phenotypes.every(isNonEmptyString)) {
+    errors.push(`${where}: "phenotypes" must be a non-empty list of phenotype codes`);
+  }
+  if (!PHENOTYPE_METHODS.includes(entry.phenotype_method)) {
+    errors.push(`${where}: "phenotype_method" must be one of ${PHENOTYPE_METHODS.join(', ')}`);
+  }
+
+  if (entry.phenotype_method === 'carrier') {
+    errors.push(...validateCarrierGene(where, entry));
+  } else if (!isObject(entry.diplotype_phenotypes)) {
+    errors.push(`${where}: "diplotype_phenotypes" must be an object`);
+  } else {
+    for (const [diplotype, phenotype] of Object.entries(entry.diplotype_phenotypes)) {
+      if (!phenotypes.includes(phenotype)) {
+        errors.push(`${where}: diplotype ${diplotype} maps to unlisted phenotype ${phenotype}`);
+      }
+    }
+  }
+
+  if (entry.x_linked !== undefined) {
+    if (typeof entry.x_linked !== 'boolean') {
+      errors.push(`${where}: "x_linked" must be true or false`);
+    } else if (entry.x_linked && !(isObject(entry.diplotype_phenotypes) && entry.diplotype_phenotypes['*1'])) {
+      errors.push(`${where}: X-linked genes must map the hemizygous reference diplotype "*1"`);
+    }
+  }
+
+  if (entry.allele_frequencies !== undefined) {
+    const frequencies = isObject(entry.allele_frequencies) ? Object.values(entry.allele_frequencies) : [null];
+    if (!frequencies.every(f => typeof f === 'number' && f >= 0 && f <= 1) ||
+        frequencies.reduce((sum, f) => sum + f, 0) > 1) {
+      errors.push(`${where}: "allele_frequencies" must be frequencies between 0 and 1 summing to at most 1`);
+    }
+  }
+
+  if (entry.phenotype_labels !== undefined) {
+    const labels = isObject(entry.phenotype_labels) ? Object.entries(entry.phenotype_labels) : [[null, null]];
+    if (!labels.every(([phenotype, label]) => phenotypes.includes(phenotype) && isNonEmptyString(label))) {
+      errors.push(`${where}: "phenotype_labels" must map listed phenotypes to labels`);
+    }
+  }
+
+  const hasActivity = entry.allele_activity !== undefined || entry.activity_score_phenotypes !== undefined;
+  if (hasActivity || entry.phenotype_method === 'activity_score') {
+    if (!isObject(entry.allele_activity) ||
+        !Object.values(entry.allele_activity).every(v => typeof v === 'number' && v >= 0)) {
+      errors.push(`${where}: "allele_activity" must map alleles to numbers >= 0`);
+    }
+    errors.push(...validateActivityThresholds(where, entry.activity_score_phenotypes, phenotypes));
+  }
+
+  if (entry.composite_alleles !== undefined) {
+    const valid = Array.isArray(entry.composite_alleles) && entry.composite_alleles.every(c =>
+      isNonEmptyString(c.allele) && Array.isArray(c.components) && c.components.length >= 2
+    );
+    if (!valid) {
+      errors.push(`${where}: "composite_alleles" entries need an allele and at least two components`);
+    }
+  }
+
+  if (entry.cis_haplotypes !== undefined) {
+    const valid = isObject(entry.cis_haplotypes) && Object.entries(entry.cis_haplotypes).every(([haplotype, allele]) =>
+      haplotype.split('+').length >= 2 && haplotype.split('+').includes(allele)
+    );
+    if (!valid) {
+      errors.push(`${where}: "cis_haplotypes" must map "+"-joined alleles to one of their parts`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a carrier-status gene (HLA)
+ * @param {string} where - Location for messages
+ * @param {object} entry - genes.json entry
+ * @returns {Array} Error messages
+ */
+function validateCarrierGene(where, entry) {
+  const errors = [];
+  const carrierAlleles = Array.isArray(entry.carrier_alleles) ? entry.carrier_alleles : [];
+
+  if (carrierAlleles.length === 0 || !carrierAlleles.every(a => /^\*\d+:\d+$/.test(a))) {
+    errors.push(`${where}: "carrier_alleles" must list two-field alleles (e.g., *57:01)`);
+  }
+  if (!CARRIER_PHENOTYPES.every(p => (entry.phenotypes || []).includes(p))) {
+    errors.push(`${where}: carrier genes must list the phenotypes ${CARRIER_PHENOTYPES.join(', ')}`);
+  }
+  for (const [allele, rsid] of Object.entries(entry.tag_snps || {})) {
+    if (!carrierAlleles.includes(allele) || !/^rs\d+$/.test(rsid)) {
+      errors.push(`${where}: tag SNP for ${allele} must name a carrier allele and an rsID`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate ordered activity-score thresholds
+ * Each rule has at most one bound ("max" inclusive or "below" exclusive);
+ * the last rule has none and catches every higher score.
+ * @param {string} where - Location for messages
+ * @param {Array} thresholds - activity_score_phenotypes
+ * @param {Array} phenotypes - Phenotypes listed for the gene
+ * @returns {Array} Error messages
+ */
+function validateActivityThresholds(where, thresholds, phenotypes) {
+  if (!Array.isArray(thresholds) || thresholds.length === 0) {
+    return [`${where}: "activity_score_phenotypes" must be a non-empty list`];
+  }
+
+  const errors = [];
+  thresholds.forEach((rule, index) => {
+    const last = index === thresholds.length - 1;
+    const bounds = ['max', 'below'].filter(key => rule[key] !== undefined);
+    if (!phenotypes.includes(rule.phenotype)) {
+      errors.push(`${where}: activity threshold ${index + 1} uses unlisted phenotype ${rule.phenotype}`);
+    }
+    if (bounds.some(key => typeof rule[key] !== 'number')) {
+      errors.push(`${where}: activity threshold ${index + 1} bound must be a number`);
+    }
+    if (bounds.length > 1 || (last ? bounds.length !== 0 : bounds.length !== 1)) {
+      errors.push(`${where}: activity threshold ${index + 1} needs ${last ? 'no bound' : 'one of "max" or "below"'}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate drugs.json against the gene list
+ * @param {object} drugsFile - drugs.json
+ * @param {object} genes - genes.json "genes"
+ * @returns {Array} Error messages
+ */
+function validateDrugs(drugsFile, genes) {
+  const errors = [];
+  const riskLabels = isObject(drugsFile.risk_labels) ? drugsFile.risk_labels : {};
+
+  if (!riskLabels['Unknown']) {
+    errors.push('drugs.json: "risk_labels" must define Unknown');
+  }
+  for (const [label, entry] of Object.entries(riskLabels)) {
+    if (!isObject(entry) || !isNonEmptyString(entry.severity) || !isNonEmptyString(entry.action)) {
+      errors.push(`drugs.json: risk label ${label} needs "severity" and "action"`);
+    }
+  }
+  for (const label of Object.keys(drugsFile.fallback_rationales || {})) {
+    if (!riskLabels[label]) {
+      errors.push(`drugs.json: fallback rationale for unknown risk label ${label}`);
+    }
+  }
+
+  const drugs = isObject(drugsFile.drugs) ? drugsFile.drugs : {};
+  if (Object.keys(drugs).length === 0) {
+    errors.push('drugs.json: "drugs" must list at least one drug');
+  }
+
+  // Rules may cover any known phenotype code (e.g., RM/UM rows kept for
+  // externally called phenotypes), not only those the gene's tables produce
+  const knownPhenotypes = new Set(['Unknown']);
+  for (const entry of Object.values(genes)) {
+    (Array.isArray(entry && entry.phenotypes) ? entry.phenotypes : []).forEach(p => knownPhenotypes.add(p));
+  }
+
+  const names = new Set();
+  for (const [drug, entry] of Object.entries(drugs)) {
+    const where = `drugs.json ${drug}`;
+    if (!isObject(entry)) {
+      errors.push(`${where}: entry must be an object`);
+      continue;
+    }
+
+    for (const name of [drug, ...(Array.isArray(entry.aliases) ? entry.aliases : [])]) {
+      if (names.has(name)) {
+        errors.push(`${where}: drug name ${name} is listed more than once`);
+      }
+      names.add(name);
+    }
+
+    if (!genes[entry.gene]) {
+      errors.push(`${where}: gene ${entry.gene} is not defined in genes.json`);
+    }
+
+    const carrierAlleles = genes[entry.gene] && genes[entry.gene].phenotype_method === 'carrier'
+      ? genes[entry.gene].carrier_alleles || []
+      : null;
+    if (carrierAlleles ? !carrierAlleles.includes(entry.carrier_allele) : entry.carrier_allele !== undefined) {
+      errors.push(`${where}: "carrier_allele" must be one of the carrier_alleles of ${entry.gene}`);
+    }
+
+    const rules = isObject(entry.risk_by_phenotype) ? entry.risk_by_phenotype : {};
+    if (!rules['Unknown']) {
+      errors.push(`${where}: "risk_by_phenotype" must define Unknown`);
+    }
+    for (const [phenotype, rule] of Object.entries(rules)) {
+      if (!knownPhenotypes.has(phenotype)) {
+        errors.push(`${where}: phenotype ${phenotype} is not a known phenotype code`);
+      }
+      if (!isObject(rule) || !riskLabels[rule.risk]) {
+        errors.push(`${where}: ${phenotype} rule has unknown risk label ${rule && rule.risk}`);
+        continue;
+      }
+      if (!isNonEmptyString(rule.severity)) {
+        errors.push(`${where}: ${phenotype} rule needs "severity"`);
+      }
+      if (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 1) {
+        errors.push(`${where}: ${phenotype} rule confidence must be between 0 and 1`);
+      }
+      if (rule.dose_direction !== undefined && !DOSE_DIRECTIONS.includes(rule.dose_direction)) {
+        errors.push(`${where}: ${phenotype} rule dose_direction must be one of ${DOSE_DIRECTIONS.join(', ')}`);
+      }
+      if (rule.rationale !== undefined && !isNonEmptyString(rule.rationale)) {
+        errors.push(`${where}: ${phenotype} rule rationale must be a non-empty string`);
+      }
+    }
+
+    for (const label of Object.keys(entry.rationales || {})) {
+      if (!riskLabels[label]) {
+        errors.push(`${where}: rationale for unknown risk label ${label}`);
+      }
+    }
+
+    if (entry.combined_with !== undefined || entry.combined_rules !== undefined) {
+      errors.push(...validateCombinedRules(where, entry, genes, riskLabels, knownPhenotypes));
+    }
+
+    if (entry.dose_algorithm !== undefined) {
+      errors.push(...validateDoseAlgorithm(where, entry.dose_algorithm));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the multi-gene rules of a drug
+ * @param {string} where - Location for messages
+ * @param {object} entry - drugs.json entry
+ * @param {object} genes - genes.json "genes"
+ * @param {object} riskLabels - drugs.json "risk_labels"
+ * @param {Set} knownPhenotypes - Phenotype codes across all genes
+ * @returns {Array} Error messages
+ */
+function validateCombinedRules(where, entry, genes, riskLabels, knownPhenotypes) {
+  const errors = [];
+  const combinedWith = Array.isArray(entry.combined_with) ? entry.combined_with : [];
+
+  if (combinedWith.length === 0) {
+    errors.push(`${where}: "combined_with" must list at least one gene`);
+  }
+  for (const gene of combinedWith) {
+    if (!genes[gene] || gene === entry.gene) {
+      errors.push(`${where}: combined gene ${gene} must be a genes.json gene other than ${entry.gene}`);
+    }
+  }
+
+  const combinedCarrierAlleles = isObject(entry.combined_carrier_alleles) ? entry.combined_carrier_alleles : {};
+  for (const gene of combinedWith) {
+    const carrierAlleles = genes[gene] && genes[gene].phenotype_method === 'carrier'
+      ? genes[gene].carrier_alleles || []
+      : null;
+    if (carrierAlleles ? !carrierAlleles.includes(combinedCarrierAlleles[gene]) : combinedCarrierAlleles[gene] !== undefined) {
+      errors.push(`${where}: "combined_carrier_alleles" must give ${gene} one of its carrier_alleles`);
+    }
+  }
+  for (const gene of Object.keys(combinedCarrierAlleles)) {
+    if (!combinedWith.includes(gene)) {
+      errors.push(`${where}: "combined_carrier_alleles" names ${gene}, which is not in combined_with`);
+    }
+  }
+
+  const drugGenes = [entry.gene, ...combinedWith];
+  const rules = Array.isArray(entry.combined_rules) ? entry.combined_rules : [];
+  if (rules.length === 0) {
+    errors.push(`${where}: "combined_rules" must be a non-empty list`);
+  }
+
+  rules.forEach((rule, index) => {
+    const label = `${where}: combined rule ${index + 1}`;
+    if (!isObject(rule) || !isObject(rule.phenotypes) || Object.keys(rule.phenotypes).length === 0) {
+      errors.push(`${label} needs "phenotypes"`);
+      return;
+    }
+    for (const [gene, codes] of Object.entries(rule.phenotypes)) {
+      if (!drugGenes.includes(gene)) {
+        errors.push(`${label} uses gene ${gene}, which the drug does not depend on`);
+      }
+      if (![].concat(codes).every(code => knownPhenotypes.has(code))) {
+        errors.push(`${label} uses an unknown phenotype code for ${gene}`);
+      }
+    }
+    if (!riskLabels[rule.risk]) {
+      errors.push(`${label} has unknown risk label ${rule.risk}`);
+    }
+    if (!isNonEmptyString(rule.severity) || !isNonEmptyString(rule.rationale)) {
+      errors.push(`${label} needs "severity" and "rationale"`);
+    }
+    if (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 1) {
+      errors.push(`${label} confidence must be between 0 and 1`);
+    }
+    if (rule.dose_direction !== undefined && !DOSE_DIRECTIONS.includes(rule.dose_direction)) {
+      errors.push(`${label} dose_direction must be one of ${DOSE_DIRECTIONS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a drug's dose-prediction model
+ * @param {string} where - Location for messages
+ * @param {object} algorithm - drugs.json "dose_algorithm"
+ * @returns {Array} Error messages
+ */
+function validateDoseAlgorithm(where, algorithm) {
+  const label = `${where}: dose_algorithm`;
+  if (!isObject(algorithm) || !isNonEmptyString(algorithm.name) || !isObject(algorithm.sqrt_weekly_dose)) {
+    return [`${label} needs "name" and "sqrt_weekly_dose"`];
+  }
+
+  const errors = [];
+  const model = algorithm.sqrt_weekly_dose;
+  for (const term of ['intercept', 'age_decades', 'height_cm', 'weight_kg']) {
+    if (typeof model[term] !== 'number') {
+      errors.push(`${label} coefficient ${term} must be a number`);
+    }
+  }
+
+  const race = isObject(model.race) ? model.race : {};
+  if (race['Missing or Mixed'] === undefined || !Object.values(race).every(c => typeof c === 'number')) {
+    errors.push(`${label} race coefficients must be numbers and define "Missing or Mixed"`);
+  }
+
+  const sites = isObject(algorithm.dosing_sites) ? algorithm.dosing_sites : {};
+  for (const [gene, site] of Object.entries(sites)) {
+    if (!isObject(site) || !isNonEmptyString(site.rsid) ||
+        !Array.isArray(site.genotypes) || site.genotypes.length !== 3) {
+      errors.push(`${label} dosing site ${gene} needs "rsid" and three "genotypes"`);
+    }
+  }
+
+  for (const [gene, table] of Object.entries(isObject(model.genotypes) ? model.genotypes : {})) {
+    if (!isObject(table) || table['Unknown'] === undefined ||
+        !Object.values(table).every(c => typeof c === 'number')) {
+      errors.push(`${label} ${gene} genotype coefficients must be numbers and define Unknown`);
+    }
+  }
+
+  for (const [term, drugs] of Object.entries(algorithm.interacting_drugs || {})) {
+    if (typeof model[term] !== 'number' || !Array.isArray(drugs) || drugs.length === 0) {
+      errors.push(`${label} interacting drug group ${term} needs a drug list and a coefficient`);
+    }
+  }
+
+  for (const [gene, adjustment] of Object.entries(algorithm.genotype_adjustments || {})) {
+    const fractions = isObject(adjustment) && isObject(adjustment.by_genotype)
+      ? Object.values(adjustment.by_genotype)
+      : [];
+    if (!sites[gene] || fractions.length === 0 || !fractions.every(f => typeof f === 'number' && f >= 0 && f <= 1)) {
+      errors.push(`${label} ${gene} adjustment must name a dosing site and use fractions between 0 and 1`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check for a plain object (not null, not an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check for a string with non-whitespace content
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+module.exports = {
+  loadKnowledgeBase,
+  getKnowledgeBase,
+  getKnowledgeBaseInfo,
+  validateKnowledgeBase,
+  KNOWLEDGE_BASE_DIR,
+};
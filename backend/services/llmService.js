@@ -25,12 +25,17 @@ const openai = new OpenAI({
  * @param {string} params.riskLabel - Risk label (determined by rule engine)
  * @param {string} params.severity - Severity (determined by rule engine)
  * @param {Array} params.variants - Detected variants
+ * @param {Array} params.coGenes - Other genes in the rule ({ gene, diplotype, phenotype })
+ * @param {string} params.doseDirection - "increase" when the adjustment raises the dose
  * @returns {object} LLM generated explanation
  */
 async function generateExplanation(params) {
-  const { drug, gene, diplotype, phenotype, riskLabel, severity, variants = [] } = params;
+  const { drug, gene, diplotype, phenotype, riskLabel, severity, variants = [], coGenes = [], doseDirection } = params;
 
   const rsids = variants.map(v => v.rsid).filter(r => r).join(', ') || 'None detected';
+  const coGeneLines = coGenes
+    .map(c => `\n- Also used by the rule: ${c.gene} ${c.diplotype} (${c.phenotype})`)
+    .join('');
 
   // LLM receives ALL pre-determined values - it explains, not decides
   const prompt = `You are explaining a pharmacogenomic analysis result. The following has been determined by CPIC-aligned clinical rules:
@@ -39,12 +44,12 @@ PATIENT DATA:
 - Gene: ${gene}
 - Diplotype: ${diplotype}
 - Phenotype: ${phenotype} (rule-based determination)
-- Variants detected: ${rsids}
+- Variants detected: ${rsids}${coGeneLines}
 
 CLINICAL DECISION (pre-determined by CPIC rules):
 - Drug: ${drug}
 - Risk Assessment: ${riskLabel}
-- Severity: ${severity}
+- Severity: ${severity}${doseDirection ? `\n- Dose adjustment direction: ${doseDirection}` : ''}
 
 Your task is to EXPLAIN why this ${riskLabel} assessment is clinically appropriate for a ${phenotype} patient taking ${drug}. Do NOT contradict or change the pre-determined risk assessment.
 
@@ -78,7 +83,7 @@ Be concise and clinically accurate.`;
   } catch (error) {
     console.error('OpenAI API error:', error.message);
     // Return fallback explanation with pre-determined values
-    return getFallbackExplanation(drug, gene, diplotype, phenotype, riskLabel);
+    return getFallbackExplanation(drug, gene, diplotype, phenotype, riskLabel, coGenes);
   }
 }
 
@@ -135,9 +140,13 @@ function parseExplanation(content, drug, gene, phenotype, riskLabel = 'Unknown')
  * @param {string} diplotype - Diplotype
  * @param {string} phenotype - Phenotype
  * @param {string} riskLabel - Pre-determined risk label
+ * @param {Array} coGenes - Other genes in the rule ({ gene, diplotype, phenotype })
  * @returns {object} Fallback explanation
  */
-function getFallbackExplanation(drug, gene, diplotype, phenotype, riskLabel = 'Unknown') {
+function getFallbackExplanation(drug, gene, diplotype, phenotype, riskLabel = 'Unknown', coGenes = []) {
+  // Combined rules (e.g., TPMT + NUDT15) name every gene's status
+  const status = [`${gene} ${phenotype}`, ...coGenes.map(c => `${c.gene} ${c.phenotype}`)].join(' / ');
+
   const explanations = {
     'CYP2D6': {
       summary: `CYP2D6 ${phenotype} status results in ${riskLabel} assessment for ${drug} due to altered codeine-to-morphine conversion.`,
@@ -154,13 +163,20 @@ function getFallbackExplanation(drug, gene, diplotype, phenotype, riskLabel = 'U
       mechanism: `The ${diplotype} diplotype results in ${phenotype} enzyme activity, affecting warfarin metabolism.`,
       clinical_impact: getPhenotypeImpact(phenotype, 'CYP2C9', drug, riskLabel)
     },
+    'CYP2B6': {
+      summary: `CYP2B6 ${phenotype} status results in ${riskLabel} assessment for ${drug} due to altered drug clearance.`,
+      mechanism: `The ${diplotype} diplotype results in ${phenotype} enzyme activity; *6 (516G>T with 785A>G in cis) and *18 reduce the clearance of ${drug}.`,
+      clinical_impact: riskLabel === 'Adjust Dosage'
+        ? `Reduced CYP2B6 activity raises ${drug} exposure; a lower starting dose lowers the risk of concentration-related adverse effects.`
+        : getPhenotypeImpact(phenotype, 'CYP2B6', drug, riskLabel)
+    },
     'SLCO1B1': {
       summary: `SLCO1B1 ${phenotype} function results in ${riskLabel} assessment for ${drug} due to altered hepatic uptake.`,
       mechanism: `Variants in SLCO1B1 alter hepatic uptake of simvastatin, increasing systemic exposure.`,
       clinical_impact: getPhenotypeImpact(phenotype, 'SLCO1B1', drug, riskLabel)
     },
     'TPMT': {
-      summary: `TPMT ${phenotype} status results in ${riskLabel} assessment for ${drug} due to altered thiopurine metabolism.`,
+      summary: `${status} status results in ${riskLabel} assessment for ${drug} due to altered thiopurine metabolism.`,
       mechanism: `The ${diplotype} diplotype results in ${phenotype} enzyme activity, affecting thiopurine metabolism.`,
       clinical_impact: getPhenotypeImpact(phenotype, 'TPMT', drug, riskLabel)
     },
@@ -168,6 +184,33 @@ function getFallbackExplanation(drug, gene, diplotype, phenotype, riskLabel = 'U
       summary: `DPYD ${phenotype} status results in ${riskLabel} assessment for ${drug} due to altered fluoropyrimidine clearance.`,
       mechanism: `The ${diplotype} diplotype results in ${phenotype} enzyme activity, affecting fluorouracil clearance.`,
       clinical_impact: getPhenotypeImpact(phenotype, 'DPYD', drug, riskLabel)
+    },
+    'CYP3A5': {
+      summary: `CYP3A5 ${phenotype} status results in ${riskLabel} assessment for ${drug} due to altered tacrolimus clearance.`,
+      mechanism: `The ${diplotype} diplotype determines whether functional CYP3A5 enzyme is expressed; expressers clear tacrolimus faster than non-expressers.`,
+      clinical_impact: riskLabel === 'Adjust Dosage'
+        ? `CYP3A5 expressers need a higher starting dose of ${drug} to reach target trough concentrations, guided by therapeutic drug monitoring.`
+        : getPhenotypeImpact(phenotype, 'CYP3A5', drug, riskLabel)
+    },
+    'UGT1A1': {
+      summary: `UGT1A1 ${phenotype} status results in ${riskLabel} assessment for ${drug} due to reduced glucuronidation.`,
+      mechanism: `The ${diplotype} diplotype results in ${phenotype} UGT1A1 activity; promoter (TA)n repeat alleles such as *28 lower enzyme expression, slowing conjugation of SN-38 and bilirubin.`,
+      clinical_impact: getPhenotypeImpact(phenotype, 'UGT1A1', drug, riskLabel)
+    },
+    'G6PD': {
+      summary: `G6PD ${phenotype} status results in ${riskLabel} assessment for ${drug} due to oxidative hemolysis risk.`,
+      mechanism: `The ${diplotype} genotype gives ${phenotype.toLowerCase()} G6PD activity; G6PD is X-linked, so males carry one copy and heterozygous females range from normal to deficient.`,
+      clinical_impact: getPhenotypeImpact(phenotype, 'G6PD', drug, riskLabel)
+    },
+    'HLA-B': {
+      summary: `HLA-B carrier status (${diplotype}) results in ${riskLabel} assessment for ${drug} due to immune-mediated hypersensitivity risk.`,
+      mechanism: `The screened HLA-B allele presents ${drug}-modified peptides to T cells; it does not change drug metabolism.`,
+      clinical_impact: getPhenotypeImpact(phenotype, 'HLA-B', drug, riskLabel)
+    },
+    'HLA-A': {
+      summary: `HLA-A carrier status (${diplotype}) results in ${riskLabel} assessment for ${drug} due to immune-mediated hypersensitivity risk.`,
+      mechanism: `The screened HLA-A allele presents ${drug}-modified peptides to T cells; it does not change drug metabolism.`,
+      clinical_impact: getPhenotypeImpact(phenotype, 'HLA-A', drug, riskLabel)
     }
   };
 
@@ -193,6 +236,7 @@ function getPhenotypeImpact(phenotype, gene, drug, riskLabel = 'Unknown') {
     'Adjust Dosage': `${phenotype} status requires dose adjustment for ${drug} to optimize therapeutic effect and minimize adverse effects per CPIC guidelines.`,
     'Toxic': `${phenotype} status significantly increases toxicity risk with ${drug}. Alternative therapy or major dose reduction strongly recommended.`,
     'Ineffective': `${phenotype} status leads to reduced or no therapeutic effect with ${drug}. Alternative medication recommended.`,
+    'Hypersensitivity': `${phenotype} carrier status carries a high risk of severe hypersensitivity to ${drug}. Do not prescribe; use an alternative drug.`,
     'Unknown': `Unknown metabolizer status requires additional clinical assessment for ${drug}.`
   };
 
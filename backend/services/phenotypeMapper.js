@@ -5,226 +5,174 @@
  * 
  * UPDATED: Uses activity-score logic for SLCO1B1 and DPYD
  * to handle allele combinations not in static lookup tables.
+ * CYP2D6 and CYP2C9 phenotypes come from the summed CPIC activity score.
+ * All tables are read from the versioned knowledge base (knowledgeBase.js).
  */
 
+const { calculateAlleleBalance } = require('../parser/qualityFilter');
+const { getKnowledgeBase } = require('./knowledgeBase');
+const { assessGeneCoverage, INDETERMINATE } = require('./geneCoverage');
+const { GENE_ALLELE_DEFINITIONS } = require('./alleleDefinitions');
+
 // ============================================================================
-// ALLELE FUNCTION MAPS (Activity Scores)
-// Used for activity-score-based phenotype classification
+// KNOWLEDGE BASE TABLES
+// Allele activity values, composite alleles and diplotype → phenotype tables
+// are loaded from the versioned knowledge base (knowledge/genes.json)
 // ============================================================================
 
+const KNOWLEDGE_GENES = getKnowledgeBase().genes;
+
 /**
- * SLCO1B1 Allele Function Map
- * *1, *1A, *1B = Normal function (score 1)
- * *5, *15, *17 = Decreased/No function (score 0)
+ * Composite alleles: star alleles defined by several variants in cis
+ * Used when phased calls place all components on the same haplotype.
+ * (e.g., TPMT *3A = *3B + *3C, SLCO1B1 *15 = *1B + *5)
  */
-const SLCO1B1_ALLELE_FUNCTION = {
-  '*1': 1,
-  '*1a': 1,
-  '*1A': 1,
-  '*1b': 1,
-  '*1B': 1,
-  '*5': 0,
-  '*15': 0,
-  '*17': 0,
-};
+const COMPOSITE_ALLELES = Object.fromEntries(
+  Object.entries(KNOWLEDGE_GENES)
+    .filter(([, entry]) => entry.composite_alleles)
+    .map(([gene, entry]) => [gene, entry.composite_alleles])
+);
 
 /**
- * DPYD Allele Function Map
- * *1 = Normal function (score 1)
- * *2A = No function (score 0)
- * *5, *13 = Decreased function (score 0.5)
+ * Uncatalogued cis combinations named after their defining allele
+ * The combination keeps a rare-recombinant prior, but takes the phenotype of
+ * the allele that decides function (e.g., CYP2C19 "*2+*17" → *2).
  */
-const DPYD_ALLELE_FUNCTION = {
-  '*1': 1,
-  '*2A': 0,
-  '*5': 0.5,
-  '*13': 0.5,
-};
-
-// ============================================================================
-// STEP 1: STRICT DIPLOTYPE → PHENOTYPE MAPPING TABLES (CPIC-Aligned)
-// ============================================================================
+const CIS_HAPLOTYPES = Object.fromEntries(
+  Object.entries(KNOWLEDGE_GENES)
+    .filter(([, entry]) => entry.cis_haplotypes)
+    .map(([gene, entry]) => [gene, entry.cis_haplotypes])
+);
 
 /**
- * CYP2C19 Diplotype → Phenotype Mapping
- * Based on CPIC guidelines for CYP2C19
- */
-const CYP2C19_PHENOTYPE_MAP = {
-  '*1/*1': 'NM',    // Normal Metabolizer
-  '*1/*17': 'RM',   // Rapid Metabolizer
-  '*17/*17': 'UM',  // Ultra-rapid Metabolizer
-  '*1/*2': 'IM',    // Intermediate Metabolizer
-  '*1/*3': 'IM',    // Intermediate Metabolizer
-  '*2/*17': 'IM',   // Intermediate Metabolizer (NOT RM - this was the bug)
-  '*3/*17': 'IM',   // Intermediate Metabolizer
-  '*2/*2': 'PM',    // Poor Metabolizer
-  '*2/*3': 'PM',    // Poor Metabolizer
-  '*3/*3': 'PM',    // Poor Metabolizer
-};
+ * X-linked genes (G6PD): males carry one copy, so their call is one allele
+ */
+const X_LINKED_GENES = new Set(
+  Object.entries(KNOWLEDGE_GENES)
+    .filter(([, entry]) => entry.x_linked)
+    .map(([gene]) => gene)
+);
 
-/**
- * CYP2D6 Diplotype → Phenotype Mapping (Simplified for Hackathon)
- * Based on CPIC guidelines for CYP2D6
- */
-const CYP2D6_PHENOTYPE_MAP = {
-  '*1/*1': 'NM',      // Normal Metabolizer
-  '*1/*2': 'NM',      // Normal Metabolizer
-  '*2/*2': 'NM',      // Normal Metabolizer
-  '*1/*4': 'IM',      // Intermediate Metabolizer
-  '*2/*4': 'IM',      // Intermediate Metabolizer
-  '*1/*5': 'IM',      // Intermediate Metabolizer
-  '*4/*4': 'PM',      // Poor Metabolizer
-  '*4/*5': 'PM',      // Poor Metabolizer
-  '*5/*5': 'PM',      // Poor Metabolizer
-  '*1/*2xN': 'UM',    // Ultra-rapid Metabolizer (gene duplication)
-  '*2xN/*2xN': 'UM',  // Ultra-rapid Metabolizer
-  '*1/*1xN': 'UM',    // Ultra-rapid Metabolizer (gene duplication)
-};
+// Zygosities of haploid GTs ("1", "0"), as callers report male chrX
+const HAPLOID_ZYGOSITIES = ['hemizygous', 'hemizygous_ref'];
 
 /**
- * CYP2C9 Diplotype → Phenotype Mapping
- * Based on CPIC guidelines for CYP2C9
+ * Defining site of each built-in allele, keyed by gene
+ * Alleles defined at the same site (UGT1A1 *28/*36/*37 repeat lengths) are
+ * alternative alleles of one position and can never sit in cis.
  */
-const CYP2C9_PHENOTYPE_MAP = {
-  '*1/*1': 'NM',    // Normal Metabolizer
-  '*1/*2': 'IM',    // Intermediate Metabolizer
-  '*1/*3': 'IM',    // Intermediate Metabolizer
-  '*2/*2': 'IM',    // Intermediate Metabolizer
-  '*2/*3': 'PM',    // Poor Metabolizer
-  '*3/*3': 'PM',    // Poor Metabolizer
-};
-
-/**
- * SLCO1B1 Diplotype → Phenotype Mapping
- * Based on CPIC guidelines for SLCO1B1
- * rs4149056 is the key variant (521T>C)
- */
-const SLCO1B1_PHENOTYPE_MAP = {
-  '*1/*1': 'NM',      // Normal Function
-  '*1a/*1a': 'NM',    // Normal Function
-  '*1a/*1b': 'NM',    // Normal Function
-  '*1b/*1b': 'NM',    // Normal Function
-  '*1B/*1B': 'NM',    // Normal Function (case variation)
-  '*1/*1B': 'NM',     // Normal Function
-  '*1/*5': 'IM',      // Decreased Function
-  '*1a/*5': 'IM',     // Decreased Function (heterozygous rs4149056)
-  '*1b/*5': 'IM',     // Decreased Function
-  '*1B/*5': 'IM',     // Decreased Function (case variation)
-  '*1a/*15': 'IM',    // Decreased Function
-  '*1b/*15': 'IM',    // Decreased Function
-  '*1B/*15': 'IM',    // Decreased Function (case variation)
-  '*5/*5': 'PM',      // Poor Function (homozygous rs4149056)
-  '*15/*15': 'PM',    // Poor Function
-  '*5/*15': 'PM',     // Poor Function
-};
+const ALLELE_SITES = Object.fromEntries(
+  Object.entries(GENE_ALLELE_DEFINITIONS)
+    .map(([gene, definitions]) => [gene, Object.fromEntries(definitions.map(d => [d.allele, d.rsid]))])
+);
 
 /**
- * TPMT Diplotype → Phenotype Mapping
- * Based on CPIC guidelines for TPMT
- */
-const TPMT_PHENOTYPE_MAP = {
-  '*1/*1': 'NM',      // Normal Metabolizer
-  '*1/*2': 'IM',      // Intermediate Metabolizer
-  '*1/*3A': 'IM',     // Intermediate Metabolizer
-  '*1/*3B': 'IM',     // Intermediate Metabolizer
-  '*1/*3C': 'IM',     // Intermediate Metabolizer
-  '*2/*2': 'PM',      // Poor Metabolizer
-  '*3A/*3A': 'PM',    // Poor Metabolizer
-  '*3B/*3B': 'PM',    // Poor Metabolizer
-  '*3C/*3C': 'PM',    // Poor Metabolizer
-  '*2/*3A': 'PM',     // Poor Metabolizer
-  '*3B/*3C': 'PM',    // Poor Metabolizer
-};
+ * Diplotype → phenotype tables (CPIC-aligned), keyed by gene
+ * (carrier-status genes have no table)
+ */
+const GENE_PHENOTYPE_MAPS = Object.fromEntries(
+  Object.entries(KNOWLEDGE_GENES)
+    .filter(([, entry]) => entry.diplotype_phenotypes)
+    .map(([gene, entry]) => [gene, entry.diplotype_phenotypes])
+);
 
-/**
- * DPYD Diplotype → Phenotype Mapping
- * Based on CPIC guidelines for DPYD
- */
-const DPYD_PHENOTYPE_MAP = {
-  '*1/*1': 'NM',                   // Normal Metabolizer
-  'Normal/Normal': 'NM',           // Normal Metabolizer (no variants)
-  '*1/*2A': 'PM',                  // Poor Metabolizer (c.1905+1G>A - no function)
-  '*2A/*2A': 'PM',                 // Poor Metabolizer
-  '*1/*5': 'IM',                   // Intermediate Metabolizer (decreased function)
-  '*5/*5': 'PM',                   // Poor Metabolizer (two decreased = PM)
-  '*2A/*5': 'PM',                  // Poor Metabolizer (no + decreased = PM)
-  '*1/*13': 'IM',                  // Intermediate Metabolizer (c.1679T>G)
-  '*1/*rs67376798': 'IM',          // Intermediate Metabolizer (c.2846A>T)
-  'Decreased/Normal': 'IM',        // One decreased-function allele
-  'Decreased/Decreased': 'PM',     // Two decreased-function alleles
-  'NoFunction/Normal': 'PM',       // One no-function allele (treat as PM per CPIC)
-};
+const CYP2C19_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['CYP2C19'];
+const CYP2D6_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['CYP2D6'];
+const CYP2C9_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['CYP2C9'];
+const SLCO1B1_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['SLCO1B1'];
+const TPMT_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['TPMT'];
+const DPYD_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['DPYD'];
+const NUDT15_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['NUDT15'];
+const CYP3A5_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['CYP3A5'];
+const UGT1A1_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['UGT1A1'];
+const CYP2B6_PHENOTYPE_MAP = GENE_PHENOTYPE_MAPS['CYP2B6'];
 
-/**
- * Master gene → phenotype mapping table
- */
-const GENE_PHENOTYPE_MAPS = {
-  'CYP2C19': CYP2C19_PHENOTYPE_MAP,
-  'CYP2D6': CYP2D6_PHENOTYPE_MAP,
-  'CYP2C9': CYP2C9_PHENOTYPE_MAP,
-  'SLCO1B1': SLCO1B1_PHENOTYPE_MAP,
-  'TPMT': TPMT_PHENOTYPE_MAP,
-  'DPYD': DPYD_PHENOTYPE_MAP,
-};
+const CYP2D6_ALLELE_FUNCTION = KNOWLEDGE_GENES['CYP2D6'].allele_activity;
+const CYP2C9_ALLELE_FUNCTION = KNOWLEDGE_GENES['CYP2C9'].allele_activity;
 
 // ============================================================================
 // ACTIVITY SCORE FUNCTIONS
 // ============================================================================
 
 /**
- * Calculate phenotype from activity score for SLCO1B1
- * 
- * Rules:
- * - total >= 2 → NM (Normal Function)
- * - total == 1 → IM (Intermediate/Decreased Function)
- * - total == 0 → PM (Poor Function)
- * 
- * @param {string} allele1 - First allele (e.g., "*1B")
- * @param {string} allele2 - Second allele (e.g., "*5")
- * @returns {string|null} Phenotype or null if allele unknown
+ * Sum the allele activity values of a diplotype
+ *
+ * RULES:
+ * - Each allele contributes its CPIC activity value (allele_activity)
+ * - Duplications multiply the value by the copy count ("*2x3" → 3);
+ *   "xN" (copy count not resolved) is scored as two copies
+ * - Any allele without an activity value → null (score not calculable)
+ * - Reported only for genes phenotyped by activity score (CYP2D6, CYP2C9)
+ *
+ * Example: CYP2D6 *1/*2xN → 1 + 2 = 3, *4/*10 → 0 + 0.25 = 0.25
+ *
+ * @param {string} gene - Gene symbol (e.g., "CYP2D6")
+ * @param {string} diplotype - Diplotype string (e.g., "*1/*41")
+ * @returns {number|null} Activity score, or null if not calculable
  */
-function calculateSLCO1B1Phenotype(allele1, allele2) {
-  const score1 = SLCO1B1_ALLELE_FUNCTION[allele1];
-  const score2 = SLCO1B1_ALLELE_FUNCTION[allele2];
-  
-  // If either allele is unknown, return null (will fall back to Unknown)
-  if (score1 === undefined || score2 === undefined) {
+function calculateActivityScore(gene, diplotype) {
+  const entry = KNOWLEDGE_GENES[String(gene || '').toUpperCase().trim()];
+  if (!entry || entry.phenotype_method !== 'activity_score') {
     return null;
   }
-  
-  const total = score1 + score2;
-  
-  if (total >= 2) return 'NM';
-  if (total >= 1) return 'IM';
-  return 'PM';
+  return sumAlleleActivity(entry, diplotype);
 }
 
 /**
- * Calculate phenotype from activity score for DPYD
- * 
- * Rules (per CPIC):
- * - total >= 2 → NM (Normal Metabolizer)
- * - total >= 1 and < 2 → IM (Intermediate Metabolizer)
- * - total < 1 → PM (Poor Metabolizer)
- * 
- * @param {string} allele1 - First allele (e.g., "*2A")
- * @param {string} allele2 - Second allele (e.g., "*5")
- * @returns {string|null} Phenotype or null if allele unknown
+ * Sum allele activity values for any gene with an allele_activity table
+ * @param {object} entry - Knowledge base gene entry
+ * @param {string} diplotype - Diplotype string
+ * @returns {number|null} Activity score, or null if not calculable
  */
-function calculateDPYDPhenotype(allele1, allele2) {
-  const score1 = DPYD_ALLELE_FUNCTION[allele1];
-  const score2 = DPYD_ALLELE_FUNCTION[allele2];
-  
-  // If either allele is unknown, return null (will fall back to Unknown)
-  if (score1 === undefined || score2 === undefined) {
+function sumAlleleActivity(entry, diplotype) {
+  if (!entry.allele_activity || !diplotype) {
     return null;
   }
-  
-  const total = score1 + score2;
-  
-  if (total >= 2) return 'NM';
-  if (total >= 1) return 'IM';
-  return 'PM';  // total < 1 (e.g., 0.5, 0)
+
+  const parts = diplotype.split('/').map(p => p.trim());
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const scores = parts.map(allele => getAlleleActivity(entry.allele_activity, allele));
+  if (scores.some(score => score === null)) {
+    return null;
+  }
+  return scores[0] + scores[1];
+}
+
+/**
+ * Activity value of one allele, including duplication copies
+ * @param {object} activityValues - Allele → activity value
+ * @param {string} allele - Allele (e.g., "*41", "*1xN", "*2x3")
+ * @returns {number|null} Activity value, or null if the allele is not in the table
+ */
+function getAlleleActivity(activityValues, allele) {
+  const match = String(allele || '').match(/^(\*[^x]+)(?:x(N|\d+))?$/i);
+  if (!match || activityValues[match[1]] === undefined) {
+    return null;
+  }
+
+  const copies = !match[2] ? 1 : (match[2].toUpperCase() === 'N' ? 2 : parseInt(match[2], 10));
+  return activityValues[match[1]] * copies;
+}
+
+/**
+ * Classify an activity score with a gene's ordered thresholds
+ * (activity_score_phenotypes: first rule whose bound holds wins;
+ * "max" is inclusive, "below" exclusive, an unbounded rule catches the rest)
+ *
+ * Example (CYP2D6): 0 → PM, 0.25-1 → IM, 1.25-2.25 → NM, > 2.25 → UM
+ *
+ * @param {object} entry - Knowledge base gene entry
+ * @param {number} score - Activity score
+ * @returns {string} Phenotype
+ */
+function classifyActivityScore(entry, score) {
+  const rule = entry.activity_score_phenotypes.find(r =>
+    (r.max === undefined || score <= r.max) && (r.below === undefined || score < r.below)
+  );
+  return rule.phenotype;
 }
 
 // ============================================================================
@@ -248,110 +196,905 @@ function normalizeDiplotype(diplotype) {
     return diplotype; // Return as-is if not standard format
   }
 
-  // Sort alleles for consistent lookup (handle *1, *2, *17, *2xN etc.)
-  const sortedParts = parts.sort((a, b) => {
-    // Extract numeric part for sorting
-    const numA = parseInt(a.replace(/[^0-9]/g, '')) || 0;
-    const numB = parseInt(b.replace(/[^0-9]/g, '')) || 0;
-    if (numA !== numB) return numA - numB;
-    // If same number, sort alphabetically (e.g., *3A before *3B)
-    return a.localeCompare(b);
-  });
+  // Sort alleles for consistent lookup (handle *1, *2, *17, *2xN, *A- etc.)
+  const sortedParts = parts.sort(compareAlleles);
 
   return `${sortedParts[0]}/${sortedParts[1]}`;
 }
 
+/**
+ * Compare star alleles for sorting (*1 < *2 < *3A < *3B < *17 < *A-)
+ * Named alleles without a number (G6PD *A-, *Mediterranean) sort after
+ * numbered ones, so the *1 reference comes first. Copy suffixes ("x2",
+ * "xN") do not count toward the allele number.
+ * @param {string} a - First allele
+ * @param {string} b - Second allele
+ * @returns {number} Sort order
+ */
+function compareAlleles(a, b) {
+  const numA = parseInt(a.replace(/x(N|\d+)$/i, '').replace(/[^0-9]/g, '')) || Infinity;
+  const numB = parseInt(b.replace(/x(N|\d+)$/i, '').replace(/[^0-9]/g, '')) || Infinity;
+  if (numA !== numB) return numA - numB;
+  return a.localeCompare(b);
+}
+
 /**
  * Determine diplotype from detected star alleles
  * 
  * DIPLOTYPE CONSTRUCTION RULES:
- * - Two identical alleles (e.g., [*4, *4]) → "*4/*4" (homozygous)
+ * - Alleles are counted by genotype dosage, not by row:
+ *   heterozygous (0/1) = 1 copy, homozygous alt (1/1) = 2 copies,
+ *   reference (0/0) and no-call (./.) = 0 copies
+ * - Sites-only records (no sample genotype) count as 1 copy
+ * - Two copies of one allele (e.g., [*4, *4]) → "*4/*4" (homozygous)
  * - Two different alleles (e.g., [*2, *4]) → "*2/*4" (compound heterozygous)
  * - One allele detected (e.g., [*4]) → "*1/*4" (assume *1 reference)
  * - No alleles → "*1/*1" (assume wild-type)
+ * - Phased heterozygous calls are assembled into haplotypes (see resolveDiplotype)
+ * - Whole-gene deletions/duplications give *5 and duplicated (x2, x3...) alleles (see applyCopyNumber)
+ * - X-linked genes in males give a single allele (e.g., G6PD "*A-"; see
+ *   resolveXLinkedCall)
  * - Diplotype is always sorted lexicographically
  * 
  * @param {Array} variants - Array of variants for a gene
+ * @param {string|null} sex - Patient sex ("male", "female"), for X-linked genes
  * @returns {string} Diplotype string (e.g., "*4/*4")
  */
-function determineDiplotype(variants) {
-  // No variants = assume wild-type *1/*1
-  if (!variants || variants.length === 0) {
-    return '*1/*1';
-  }
-
-  // Extract all star alleles (DO NOT deduplicate - we need to count occurrences)
-  const starAlleles = variants
-    .map(v => v.star_allele)
-    .filter(s => s && s.startsWith('*'));
-
-  // No star alleles found = assume wild-type
-  if (starAlleles.length === 0) {
-    return '*1/*1';
-  }
-
-  // Count occurrences of each star allele
-  const alleleCounts = {};
-  for (const allele of starAlleles) {
-    alleleCounts[allele] = (alleleCounts[allele] || 0) + 1;
-  }
-
-  // Get unique alleles sorted lexicographically
-  const uniqueAlleles = Object.keys(alleleCounts).sort((a, b) => {
-    const numA = parseInt(a.replace(/[^0-9]/g, '')) || 0;
-    const numB = parseInt(b.replace(/[^0-9]/g, '')) || 0;
-    if (numA !== numB) return numA - numB;
-    return a.localeCompare(b);
-  });
-
-  // Build diplotype based on allele counts
-  let allele1, allele2;
-
-  if (uniqueAlleles.length === 1) {
-    // Only one unique allele detected
-    const allele = uniqueAlleles[0];
-    const count = alleleCounts[allele];
-
-    if (count >= 2) {
-      // Two or more of the same allele → homozygous (e.g., *4/*4)
-      allele1 = allele;
-      allele2 = allele;
-    } else {
-      // Only one variant allele → heterozygous with *1 (e.g., *1/*4)
-      if (allele === '*1') {
-        allele1 = '*1';
-        allele2 = '*1';
+function determineDiplotype(variants, sex = null) {
+  return resolveDiplotype(variants, sex).diplotype;
+}
+
+/**
+ * Resolve diplotype with phase information
+ * 
+ * PHASING RULES:
+ * - All heterozygous star-allele calls phased (GT "0|1") in ONE phase set
+ *   (same PS, or no PS at all) → haplotypes assembled per chromosome;
+ *   alleles on the same haplotype are in cis ("phased")
+ * - Alleles in cis that together define a composite allele are merged
+ *   (e.g., TPMT *3B + *3C in cis = *3A)
+ * - At most one distinct heterozygous allele → no phasing needed ("unambiguous")
+ * - Two or more distinct heterozygous alleles that are unphased, or split
+ *   across phase sets → "ambiguous": the count-based trans call is kept as the
+ *   diplotype and every cis/trans interpretation is listed in `alternatives`
+ * 
+ * @param {Array} variants - Array of variants for a gene
+ * @param {string|null} sex - Patient sex ("male", "female"), for X-linked genes
+ * @returns {object} { diplotype, phase_status, haplotypes, alternatives, copy_number }
+ */
+function resolveDiplotype(variants, sex = null) {
+  const smallVariants = (variants || []).filter(v => !v.sv_type);
+  const gene = (smallVariants.find(v => v.gene_symbol) || {}).gene_symbol;
+  if (X_LINKED_GENES.has(gene)) {
+    const xLinkedCall = resolveXLinkedCall(gene, smallVariants, sex);
+    if (xLinkedCall) {
+      return xLinkedCall;
+    }
+  }
+
+  const call = resolveSmallVariantDiplotype(smallVariants);
+  const copyNumber = getGeneCopyNumber(variants);
+
+  if (copyNumber === null || call.diplotype === INDETERMINATE) {
+    return { ...call, copy_number: null };
+  }
+  return applyCopyNumber(call, smallVariants, copyNumber);
+}
+
+/**
+ * Resolve an X-linked gene (G6PD) for the patient's sex
+ *
+ * RULES:
+ * - Males have one X: the call is the single allele they carry ("*A-",
+ *   "*1"), reported as hemizygous; 1/1 and haploid "1" GTs mean the same
+ * - Sex not given: haploid GTs mark a male sample; diploid calls are left to
+ *   the two-copy rules (a heterozygous call implies two X chromosomes, and
+ *   homozygous calls give the same phenotype in either sex)
+ * - Calls contradicting the sex (heterozygous in a male, haploid in a
+ *   female) make the call Indeterminate; they are listed in sex_conflicts
+ *
+ * @param {string} gene - Gene symbol
+ * @param {Array} variants - Small variants for the gene
+ * @param {string|null} sex - Patient sex ("male", "female") or null
+ * @returns {object|null} Call, or null when the two-copy rules apply
+ */
+function resolveXLinkedCall(gene, variants, sex) {
+  const haploid = variants.filter(v => HAPLOID_ZYGOSITIES.includes(v.zygosity));
+  const hemizygous = sex === 'male' || (!sex && haploid.length > 0);
+  const conflicts = hemizygous
+    ? variants.filter(v => v.zygosity === 'het')
+    : (sex === 'female' ? haploid : []);
+
+  if (conflicts.length > 0) {
+    return {
+      diplotype: INDETERMINATE,
+      phase_status: 'not_applicable',
+      haplotypes: null,
+      alternatives: [],
+      copy_number: null,
+      sex_conflicts: conflicts.map(v => v.rsid || `${v.chrom}:${v.pos}`)
+    };
+  }
+  if (!hemizygous) {
+    return null;
+  }
+
+  const carried = variants
+    .filter(v => v.star_allele && v.star_allele.startsWith('*') && getAlleleDosage(v) > 0)
+    .map(v => v.star_allele);
+  const allele = collapseHaplotype(gene, carried);
+  return {
+    diplotype: allele,
+    phase_status: 'not_applicable',
+    haplotypes: [[...new Set(carried)].sort(compareAlleles)],
+    alternatives: [],
+    candidates: [{ diplotype: allele, probability: 1 }],
+    copy_number: null,
+    hemizygous: true
+  };
+}
+
+/**
+ * Total gene copy number from whole-gene deletion/duplication records
+ * Each record contributes its change from two copies, so a 0/0 deletion
+ * record next to a 0/1 duplication record gives 3.
+ * @param {Array} variants - Array of variants for a gene
+ * @returns {number|null} Copy number, or null without copy-number evidence
+ */
+function getGeneCopyNumber(variants) {
+  const records = (variants || []).filter(v =>
+    v.sv_type && v.whole_gene && Number.isFinite(v.copy_number)
+  );
+
+  if (records.length === 0) {
+    return null;
+  }
+  return Math.max(0, records.reduce((total, v) => total + (v.copy_number - 2), 2));
+}
+
+/**
+ * Resolve the diplotype from SNV/indel star-allele calls (two gene copies)
+ * Unphased calls are resolved to the top-ranked candidate diplotype
+ * (see rankCandidateDiplotypes); fully phased calls have one candidate.
+ * Unphased calls with more than MAX_HET_ALLELES possible heterozygous
+ * alleles are Indeterminate (ambiguous) without enumerating placements.
+ * @param {Array} variants - Small variants for a gene
+ * @returns {object} { diplotype, phase_status, haplotypes, alternatives, candidates }
+ */
+function resolveSmallVariantDiplotype(variants) {
+  const carried = (variants || []).filter(v =>
+    v.star_allele && v.star_allele.startsWith('*') && getAlleleDosage(v) > 0
+  );
+
+  if (carried.length === 0) {
+    const candidates = rankCandidateDiplotypes(variants);
+    if (!candidates) {
+      return unresolvablePhaseCall();
+    }
+    return {
+      diplotype: candidates[0].diplotype,
+      phase_status: 'unambiguous',
+      haplotypes: null,
+      alternatives: [],
+      candidates
+    };
+  }
+
+  const gene = carried[0].gene_symbol;
+  const homozygous = new Set(carried.filter(v => getAlleleDosage(v) >= 2).map(v => v.star_allele));
+  const hetCalls = carried.filter(v => getAlleleDosage(v) === 1 && !homozygous.has(v.star_allele));
+  const hetAlleles = [...new Set(hetCalls.map(v => v.star_allele))].sort(compareAlleles);
+
+  // Phased: every het call is phased and they all share one phase set
+  const phaseSets = new Set(hetCalls.map(v => (v.phase_set === null || v.phase_set === undefined ? 'default' : v.phase_set)));
+  const fullyPhased = hetCalls.length > 0 &&
+    hetCalls.every(v => v.phased && v.gt_alleles && v.gt_alleles.length === 2) &&
+    phaseSets.size === 1;
+
+  if (fullyPhased && hetAlleles.length > 1) {
+    const haplotypes = [[...homozygous], [...homozygous]];
+    for (const call of hetCalls) {
+      call.gt_alleles.forEach((allele, index) => {
+        if (allele > 0) haplotypes[index].push(call.star_allele);
+      });
+    }
+
+    const diplotype = buildDiplotype(collapseHaplotype(gene, haplotypes[0]), collapseHaplotype(gene, haplotypes[1]));
+    return {
+      diplotype,
+      phase_status: 'phased',
+      haplotypes: haplotypes.map(h => [...new Set(h)].sort(compareAlleles)),
+      alternatives: [],
+      candidates: [{ diplotype, probability: 1 }]
+    };
+  }
+
+  const candidates = rankCandidateDiplotypes(variants);
+  if (!candidates) {
+    return unresolvablePhaseCall();
+  }
+  const diplotype = candidates[0].diplotype;
+
+  // Alleles of one site (repeat lengths) can only be in trans: a single placement
+  const alternatives = hetAlleles.length < 2 ? [] : enumeratePhaseAlternatives(gene, [...homozygous], hetAlleles);
+  if (alternatives.length < 2) {
+    return { diplotype, phase_status: 'unambiguous', haplotypes: null, alternatives: [], candidates };
+  }
+
+  return {
+    diplotype,
+    phase_status: 'ambiguous',
+    haplotypes: null,
+    alternatives,
+    candidates
+  };
+}
+
+/**
+ * Call for a gene with too many heterozygous alleles to place
+ * @returns {object} Indeterminate call flagged ambiguous
+ */
+function unresolvablePhaseCall() {
+  return {
+    diplotype: INDETERMINATE,
+    phase_status: 'ambiguous',
+    haplotypes: null,
+    alternatives: [],
+    candidates: null
+  };
+}
+
+/**
+ * Adjust a two-copy diplotype for the gene copy number
+ *
+ * COPY NUMBER RULES:
+ * - 2 copies → diplotype unchanged
+ * - 0 copies → *5/*5 (homozygous gene deletion)
+ * - 1 copy → *5 plus the remaining haplotype; every star allele seen sits
+ *   on that single copy (hemizygous calls may be reported as 1/1)
+ * - 3+ copies → one haplotype carries the extra copies, written x(copies - 1)
+ *   (4 copies of *4/*41 → *4/*41x3); "xN" only when the count is not
+ *   known (see duplicationSuffix). When the two haplotypes differ,
+ *   allele balance decides which is duplicated (alt fraction > 0.5 means the
+ *   variant haplotype is the duplicated one); without read counts the
+ *   variant haplotype is duplicated and the result is flagged "ambiguous"
+ *
+ * Candidate diplotypes are carried over: each two-copy candidate is split
+ * between its duplication options unless allele balance picks one.
+ *
+ * @param {object} call - Two-copy call from resolveSmallVariantDiplotype
+ * @param {Array} smallVariants - Small variants for the gene
+ * @param {number} copyNumber - Total gene copies
+ * @returns {object} { diplotype, phase_status, haplotypes, alternatives, candidates, copy_number }
+ */
+function applyCopyNumber(call, smallVariants, copyNumber) {
+  if (copyNumber === 2) {
+    return { ...call, copy_number: copyNumber };
+  }
+
+  const carried = smallVariants.filter(v =>
+    v.star_allele && v.star_allele.startsWith('*') && getAlleleDosage(v) > 0
+  );
+
+  if (copyNumber <= 0) {
+    return {
+      diplotype: '*5/*5',
+      phase_status: 'unambiguous',
+      haplotypes: [['*5'], ['*5']],
+      alternatives: [],
+      candidates: [{ diplotype: '*5/*5', probability: 1 }],
+      copy_number: 0
+    };
+  }
+
+  if (copyNumber === 1) {
+    const gene = carried.length > 0 ? carried[0].gene_symbol : null;
+    const diplotype = buildDiplotype('*5', collapseHaplotype(gene, carried.map(v => v.star_allele)));
+    return {
+      diplotype,
+      phase_status: 'unambiguous',
+      haplotypes: null,
+      alternatives: [],
+      candidates: [{ diplotype, probability: 1 }],
+      copy_number: 1
+    };
+  }
+
+  // Duplication: every two-copy interpretation × which haplotype is duplicated
+  const twoCopyDiplotypes = call.phase_status === 'ambiguous' ? call.alternatives : [call.diplotype];
+  const alternatives = [...new Set(twoCopyDiplotypes.flatMap(d => duplicateOptions(d, copyNumber)))];
+  const [first, second] = call.diplotype.split('/');
+  const balance = first === second ? null : getStarAlleleBalance(carried, second);
+  const suffix = duplicationSuffix(copyNumber);
+
+  let diplotype;
+  if (first === second || balance === null || balance > 0.5) {
+    diplotype = buildDiplotype(first, `${second}${suffix}`);
+  } else {
+    diplotype = buildDiplotype(`${first}${suffix}`, second);
+  }
+
+  const resolved = first === second || balance !== null;
+  const ambiguous = call.phase_status === 'ambiguous' || (!resolved && alternatives.length > 1);
+
+  return {
+    diplotype,
+    phase_status: ambiguous ? 'ambiguous' : call.phase_status,
+    haplotypes: null,
+    alternatives: ambiguous ? alternatives : [],
+    candidates: duplicateCandidates(call.candidates, carried, diplotype, copyNumber),
+    copy_number: copyNumber
+  };
+}
+
+/**
+ * Carry two-copy candidates over to a duplicated gene
+ * A candidate whose duplicated haplotype is settled by allele balance keeps
+ * its probability on that option; otherwise it is split evenly.
+ * @param {Array} candidates - Two-copy candidates ({ diplotype, probability })
+ * @param {Array} carried - Carried star-allele variants
+ * @param {string} diplotype - Diplotype chosen by applyCopyNumber (ranked first on ties)
+ * @param {number} copyNumber - Total gene copies
+ * @returns {Array} Ranked candidates
+ */
+function duplicateCandidates(candidates, carried, diplotype, copyNumber) {
+  const probabilities = new Map();
+  const suffix = duplicationSuffix(copyNumber);
+
+  for (const candidate of candidates) {
+    const [first, second] = candidate.diplotype.split('/');
+    const balance = first === second ? null : getStarAlleleBalance(carried, second);
+    const options = balance === null
+      ? duplicateOptions(candidate.diplotype, copyNumber)
+      : [balance > 0.5 ? buildDiplotype(first, `${second}${suffix}`) : buildDiplotype(`${first}${suffix}`, second)];
+
+    for (const option of options) {
+      probabilities.set(option, (probabilities.get(option) || 0) + candidate.probability / options.length);
+    }
+  }
+
+  return sortCandidates(probabilities, diplotype);
+}
+
+/**
+ * List the diplotypes obtained by duplicating either haplotype
+ * @param {string} diplotype - Two-copy diplotype (e.g., "*1/*2")
+ * @param {number} copyNumber - Total gene copies
+ * @returns {Array} e.g., ["*1/*2x2", "*1x2/*2"] for 3 copies
+ */
+function duplicateOptions(diplotype, copyNumber) {
+  const [first, second] = diplotype.split('/');
+  const suffix = duplicationSuffix(copyNumber);
+  if (first === second) {
+    return [buildDiplotype(first, `${second}${suffix}`)];
+  }
+  return [buildDiplotype(first, `${second}${suffix}`), buildDiplotype(`${first}${suffix}`, second)];
+}
+
+/**
+ * Copy suffix of the duplicated haplotype
+ * All extra copies sit on one haplotype: 3 copies → "x2", 4 → "x3".
+ * @param {number|null} copyNumber - Total gene copies
+ * @returns {string} "x<copies>", or "xN" when the count is unresolved
+ */
+function duplicationSuffix(copyNumber) {
+  return Number.isFinite(copyNumber) && copyNumber > 2 ? `x${copyNumber - 1}` : 'xN';
+}
+
+/**
+ * Average alternate-read fraction of the variants defining a star allele
+ * @param {Array} carried - Carried star-allele variants
+ * @param {string} allele - Star allele
+ * @returns {number|null} Alt fraction, or null without allelic depths
+ */
+function getStarAlleleBalance(carried, allele) {
+  const balances = carried
+    .filter(v => v.star_allele === allele)
+    .map(v => calculateAlleleBalance(v.allelic_depths))
+    .filter(b => b !== null);
+
+  if (balances.length === 0) {
+    return null;
+  }
+  return balances.reduce((sum, b) => sum + b, 0) / balances.length;
+}
+
+/**
+ * List every diplotype consistent with unphased heterozygous alleles
+ * Each het allele may sit on either chromosome; homozygous alleles sit on both.
+ * @param {string} gene - Gene symbol
+ * @param {Array} homozygousAlleles - Alleles present on both haplotypes
+ * @param {Array} hetAlleles - Distinct heterozygous alleles (sorted)
+ * @returns {Array} Unique diplotype strings
+ */
+function enumeratePhaseAlternatives(gene, homozygousAlleles, hetAlleles) {
+  const pairs = enumerateHaplotypePairs(gene, homozygousAlleles, hetAlleles);
+  return [...new Set(pairs.map(([a, b]) => buildDiplotype(nameCisHaplotype(gene, a), nameCisHaplotype(gene, b))))];
+}
+
+/**
+ * List every haplotype pair consistent with homozygous and heterozygous alleles
+ * 2^(n-1) pairs: callers keep hetAlleles within MAX_HET_ALLELES.
+ * @param {string} gene - Gene symbol
+ * @param {Array} homozygousAlleles - Alleles present on both haplotypes
+ * @param {Array} hetAlleles - Distinct heterozygous alleles (sorted)
+ * @returns {Array} Pairs of haplotype names ([["*1", "*3A"], ...]) before
+ *   cis renaming ("*2+*17" stays as is; see nameCisHaplotype)
+ */
+function enumerateHaplotypePairs(gene, homozygousAlleles, hetAlleles) {
+  if (hetAlleles.length === 0) {
+    const haplotype = joinCisAlleles(gene, homozygousAlleles);
+    return [[haplotype, haplotype]];
+  }
+
+  const pairs = [];
+  const possiblePairs = [];
+  // Fix the first het allele on haplotype A to skip mirror-image partitions
+  const combinations = 1 << (hetAlleles.length - 1);
+
+  for (let mask = 0; mask < combinations; mask++) {
+    const haplotypeA = [...homozygousAlleles, hetAlleles[0]];
+    const haplotypeB = [...homozygousAlleles];
+    hetAlleles.slice(1).forEach((allele, index) => {
+      if (mask & (1 << index)) {
+        haplotypeA.push(allele);
       } else {
-        allele1 = '*1';
-        allele2 = allele;
+        haplotypeB.push(allele);
       }
+    });
+    const pair = [joinCisAlleles(gene, haplotypeA), joinCisAlleles(gene, haplotypeB)];
+    pairs.push(pair);
+    if (!sharesDefiningSite(gene, haplotypeA) && !sharesDefiningSite(gene, haplotypeB)) {
+      possiblePairs.push(pair);
+    }
+  }
+
+  // Calls that cannot be placed at all (three lengths of one repeat) keep every pair
+  return possiblePairs.length > 0 ? possiblePairs : pairs;
+}
+
+/**
+ * Check whether a haplotype carries two alleles of the same defining site
+ * (e.g., UGT1A1 *28 and *37 in cis), which one chromosome cannot hold
+ * @param {string} gene - Gene symbol
+ * @param {Array} alleles - Star alleles on one haplotype
+ * @returns {boolean} True when two alleles share a site
+ */
+function sharesDefiningSite(gene, alleles) {
+  const sites = ALLELE_SITES[gene] || {};
+  const seen = new Set();
+  for (const allele of new Set(alleles)) {
+    const site = sites[allele];
+    if (site && seen.has(site)) {
+      return true;
+    }
+    if (site) {
+      seen.add(site);
     }
-  } else if (uniqueAlleles.length >= 2) {
-    // Two or more different alleles → compound heterozygous
-    // Take the two most frequent, or first two if equal frequency
-    allele1 = uniqueAlleles[0];
-    allele2 = uniqueAlleles[1];
   }
+  return false;
+}
+
+/**
+ * Name a haplotype from the star alleles it carries in cis
+ * - No alleles → *1
+ * - Alleles matching a composite definition → composite allele (e.g., *3A)
+ * - Known cis combinations → their defining allele (genes.json
+ *   cis_haplotypes, e.g., CYP2C19 "*2+*17" → *2)
+ * - Otherwise the alleles joined with "+" (e.g., "*2+*4"), which no
+ *   phenotype table contains, so the phenotype stays Unknown rather than guessed
+ * @param {string} gene - Gene symbol
+ * @param {Array} alleles - Star alleles on one haplotype
+ * @returns {string} Haplotype name
+ */
+function collapseHaplotype(gene, alleles) {
+  return nameCisHaplotype(gene, joinCisAlleles(gene, alleles));
+}
+
+/**
+ * Rename a known cis combination to its defining allele
+ * @param {string} gene - Gene symbol
+ * @param {string} haplotype - Haplotype from joinCisAlleles
+ * @returns {string} Haplotype name used for phenotyping
+ */
+function nameCisHaplotype(gene, haplotype) {
+  return (CIS_HAPLOTYPES[gene] && CIS_HAPLOTYPES[gene][haplotype]) || haplotype;
+}
+
+/**
+ * Join the star alleles of one haplotype (composite allele or "+"-joined)
+ * @param {string} gene - Gene symbol
+ * @param {Array} alleles - Star alleles on one haplotype
+ * @returns {string} Haplotype name before cis renaming
+ */
+function joinCisAlleles(gene, alleles) {
+  const unique = [...new Set(alleles)].filter(a => a !== '*1').sort(compareAlleles);
 
-  // Sort the diplotype lexicographically for consistency
-  const sortedDiplotype = [allele1, allele2].sort((a, b) => {
-    const numA = parseInt(a.replace(/[^0-9]/g, '')) || 0;
-    const numB = parseInt(b.replace(/[^0-9]/g, '')) || 0;
-    if (numA !== numB) return numA - numB;
-    return a.localeCompare(b);
-  });
+  if (unique.length === 0) return '*1';
+  if (unique.length === 1) return unique[0];
 
+  const composite = (COMPOSITE_ALLELES[gene] || []).find(c =>
+    c.components.length === unique.length && c.components.every(a => unique.includes(a))
+  );
+  return composite ? composite.allele : unique.join('+');
+}
+
+/**
+ * Build a sorted diplotype string from two alleles
+ * @param {string} allele1 - First allele
+ * @param {string} allele2 - Second allele
+ * @returns {string} Diplotype (e.g., "*1/*4")
+ */
+function buildDiplotype(allele1, allele2) {
+  const sortedDiplotype = [allele1, allele2].sort(compareAlleles);
   return `${sortedDiplotype[0]}/${sortedDiplotype[1]}`;
 }
 
+/**
+ * Get the number of alternate allele copies a variant contributes
+ * Records without a sample genotype keep the legacy one-copy-per-row behavior.
+ * @param {object} variant - Parsed variant
+ * @returns {number} Allele dosage (0, 1 or 2)
+ */
+function getAlleleDosage(variant) {
+  if (variant.allele_dosage === undefined || variant.allele_dosage === null) {
+    return variant.zygosity === 'no_call' ? 0 : 1;
+  }
+  return variant.allele_dosage;
+}
+
+// ============================================================================
+// CANDIDATE DIPLOTYPE RANKING
+// ============================================================================
+
+// Genotypes within this many phred units of the best PL stay candidates
+// (relative likelihood 1 in 1000); less likely genotypes are not enumerated
+const CANDIDATE_MAX_PL_DIFFERENCE = 30;
+
+// Sites whose alternative genotypes are enumerated (most uncertain first)
+const MAX_UNCERTAIN_SITES = 4;
+
+// Distinct alleles that may be heterozygous before ranking gives up: each
+// genotype combination has 2^(n-1) cis/trans placements
+const MAX_HET_ALLELES = 8;
+
+// Frequency for alleles absent from the knowledge base frequency table
+const DEFAULT_ALLELE_FREQUENCY = 0.001;
+
+// Highest frequency of an uncatalogued cis combination ("+" haplotype)
+const RARE_RECOMBINANT_FREQUENCY = 0.0001;
+
+// Candidates at or above this probability are plausible: they decide
+// whether a call is ambiguous and which risk is most conservative (phase
+// alternatives always count; see assessCandidatePhenotypes)
+const MIN_CANDIDATE_PROBABILITY = 0.01;
+
+/**
+ * Rank every diplotype consistent with the star-allele calls of a gene
+ *
+ * RANKING RULES:
+ * - Each call contributes its genotype, plus any genotype whose PL is within
+ *   CANDIDATE_MAX_PL_DIFFERENCE of the best (likelihood 10^(-ΔPL/10));
+ *   calls without PL (arrays, sites-only) keep their called genotype
+ * - Every cis/trans placement of the heterozygous alleles is a candidate
+ *   (same haplotype naming as phase alternatives: composite alleles merge,
+ *   other cis combinations are "+"-joined)
+ * - Prior: Hardy-Weinberg product of haplotype frequencies from the
+ *   knowledge base (allele_frequencies; *1 takes the remainder; uncatalogued
+ *   "+" haplotypes are rare recombinants, see getHaplotypeFrequency), taken
+ *   before known cis combinations are renamed (CYP2C19 "*2+*17" → *2)
+ * - Probability = prior × likelihood, summed per diplotype and normalized
+ * - More than MAX_HET_ALLELES alleles that may be heterozygous: no ranking
+ *
+ * Example (TPMT, unphased *3B and *3C het): *1/*3A ≫ *3B/*3C, because *3A
+ * is far more common than *3B and *3C together in trans.
+ *
+ * @param {Array} variants - Small variants for a gene (reference calls included)
+ * @returns {Array|null} Candidates ({ diplotype, probability }), most plausible
+ *   first, or null when there are too many heterozygous alleles to place
+ */
+function rankCandidateDiplotypes(variants) {
+  const sites = (variants || [])
+    .filter(v => v.star_allele && v.star_allele.startsWith('*'))
+    .map(v => ({ allele: v.star_allele, gene: v.gene_symbol, options: getGenotypeOptions(v) }));
+
+  if (sites.length === 0) {
+    return [{ diplotype: '*1/*1', probability: 1 }];
+  }
+
+  // Bound the enumeration: only the least certain sites keep alternatives
+  const uncertain = sites
+    .filter(site => site.options.length > 1)
+    .sort((a, b) => b.options[1].logLikelihood - a.options[1].logLikelihood)
+    .slice(0, MAX_UNCERTAIN_SITES);
+  const siteOptions = sites.map(site => (uncertain.includes(site) ? site.options : [site.options[0]]));
+
+  const possibleHets = new Set(sites
+    .filter((site, index) => siteOptions[index].some(option => option.dosage === 1))
+    .map(site => site.allele));
+  if (possibleHets.size > MAX_HET_ALLELES) {
+    return null;
+  }
+
+  const gene = sites[0].gene;
+  const weights = new Map();
+
+  for (const combination of cartesianProduct(siteOptions)) {
+    const dosages = {};
+    let logLikelihood = 0;
+    combination.forEach((option, index) => {
+      logLikelihood += option.logLikelihood;
+      // Several records may define one allele: its dosage is the highest call
+      if (option.dosage > 0) {
+        dosages[sites[index].allele] = Math.max(dosages[sites[index].allele] || 0, option.dosage);
+      }
+    });
+
+    const alleles = Object.keys(dosages).sort(compareAlleles);
+    const homozygous = alleles.filter(a => dosages[a] >= 2);
+    const heterozygous = alleles.filter(a => dosages[a] === 1);
+
+    for (const [haplotypeA, haplotypeB] of enumerateHaplotypePairs(gene, homozygous, heterozygous)) {
+      const diplotype = buildDiplotype(nameCisHaplotype(gene, haplotypeA), nameCisHaplotype(gene, haplotypeB));
+      const weight = getDiplotypePrior(gene, haplotypeA, haplotypeB) * Math.pow(10, logLikelihood);
+      weights.set(diplotype, (weights.get(diplotype) || 0) + weight);
+    }
+  }
+
+  return sortCandidates(weights, null);
+}
+
+/**
+ * Genotype options for one call, best first
+ * @param {object} variant - Parsed variant
+ * @returns {Array} Options ({ dosage, logLikelihood })
+ */
+function getGenotypeOptions(variant) {
+  const called = { dosage: getAlleleDosage(variant), logLikelihood: 0 };
+  const likelihoods = variant.genotype_likelihoods || [];
+  const diploid = variant.gt_alleles && variant.gt_alleles.length === 2;
+
+  if (!diploid || variant.zygosity === 'no_call' || likelihoods.length !== 3 ||
+      likelihoods.some(pl => typeof pl !== 'number')) {
+    return [called];
+  }
+
+  const best = Math.min(...likelihoods);
+  const options = [0, 1, 2]
+    .filter(dosage => dosage !== called.dosage && likelihoods[dosage] - best <= CANDIDATE_MAX_PL_DIFFERENCE)
+    .map(dosage => ({ dosage, logLikelihood: -(likelihoods[dosage] - best) / 10 }))
+    .sort((a, b) => b.logLikelihood - a.logLikelihood);
+  called.logLikelihood = -(likelihoods[called.dosage] - best) / 10;
+
+  return [called, ...options];
+}
+
+/**
+ * Hardy-Weinberg prior of an unordered haplotype pair
+ * @param {string} gene - Gene symbol
+ * @param {string} haplotypeA - Haplotype name
+ * @param {string} haplotypeB - Haplotype name
+ * @returns {number} Prior probability
+ */
+function getDiplotypePrior(gene, haplotypeA, haplotypeB) {
+  const frequencyA = getHaplotypeFrequency(gene, haplotypeA);
+  const frequencyB = getHaplotypeFrequency(gene, haplotypeB);
+  return haplotypeA === haplotypeB ? frequencyA * frequencyB : 2 * frequencyA * frequencyB;
+}
+
+/**
+ * Population frequency of a haplotype
+ * - Listed alleles: knowledge base allele_frequencies
+ * - *1: one minus the listed frequencies
+ * - "+"-joined cis combinations (no catalogued haplotype): rare recombinants,
+ *   the product of the parts capped at RARE_RECOMBINANT_FREQUENCY; parts that
+ *   are common on separate haplotypes are not assumed to travel together
+ * - Anything else: DEFAULT_ALLELE_FREQUENCY
+ * @param {string} gene - Gene symbol
+ * @param {string} haplotype - Haplotype name
+ * @returns {number} Frequency
+ */
+function getHaplotypeFrequency(gene, haplotype) {
+  const frequencies = (KNOWLEDGE_GENES[gene] && KNOWLEDGE_GENES[gene].allele_frequencies) || {};
+
+  if (frequencies[haplotype] !== undefined) {
+    return frequencies[haplotype];
+  }
+  if (haplotype === '*1') {
+    const listed = Object.values(frequencies).reduce((sum, f) => sum + f, 0);
+    return Math.max(1 - listed, DEFAULT_ALLELE_FREQUENCY);
+  }
+  if (haplotype.includes('+')) {
+    const product = haplotype.split('+').reduce((total, part) => total * getHaplotypeFrequency(gene, part), 1);
+    return Math.min(product, RARE_RECOMBINANT_FREQUENCY);
+  }
+  return DEFAULT_ALLELE_FREQUENCY;
+}
+
+/**
+ * Every combination picking one option per site
+ * @param {Array} optionLists - Options per site
+ * @returns {Array} Combinations (one option per site)
+ */
+function cartesianProduct(optionLists) {
+  return optionLists.reduce(
+    (combinations, options) => combinations.flatMap(c => options.map(o => [...c, o])),
+    [[]]
+  );
+}
+
+/**
+ * Normalize candidate weights into ranked probabilities
+ * @param {Map} weights - Diplotype → unnormalized weight
+ * @param {string|null} preferred - Diplotype ranked first among equals
+ * @returns {Array} Candidates ({ diplotype, probability }), most plausible first
+ */
+function sortCandidates(weights, preferred) {
+  const total = [...weights.values()].reduce((sum, w) => sum + w, 0);
+
+  return [...weights.entries()]
+    .map(([diplotype, weight]) => ({
+      diplotype,
+      probability: total > 0 ? Math.round((weight / total) * 10000) / 10000 : 1 / weights.size
+    }))
+    .sort((a, b) =>
+      (b.probability - a.probability) ||
+      ((b.diplotype === preferred) - (a.diplotype === preferred)) ||
+      a.diplotype.localeCompare(b.diplotype)
+    );
+}
+
+/**
+ * Attach phenotypes to every candidate diplotype and flag ambiguity
+ *
+ * PLAUSIBLE PHENOTYPES:
+ * - The top candidate and candidates with probability >= MIN_CANDIDATE_PROBABILITY
+ * - Every phase alternative with a real phenotype, however unlikely: an
+ *   unphased call cannot rule out a placement (TPMT *3B/*3C stays PM even
+ *   though *1/*3A is far more common)
+ * - The call is ambiguous when these phenotypes differ
+ *
+ * @param {string} gene - Gene symbol
+ * @param {Array} candidates - Ranked candidates ({ diplotype, probability })
+ * @param {Array} alternatives - Phase alternatives of an ambiguous call
+ * @returns {object} { candidates, ambiguous, plausible_phenotypes }
+ */
+function assessCandidatePhenotypes(gene, candidates, alternatives = []) {
+  const assessed = (candidates || []).map(c => ({
+    diplotype: c.diplotype,
+    phenotype: determinePhenotypeByGene(gene, c.diplotype),
+    probability: c.probability
+  }));
+  const knownPhenotypes = (KNOWLEDGE_GENES[gene] && KNOWLEDGE_GENES[gene].phenotypes) || [];
+  const alternativePhenotypes = (alternatives || [])
+    .map(diplotype => determinePhenotypeByGene(gene, diplotype))
+    .filter(phenotype => knownPhenotypes.includes(phenotype));
+  const plausiblePhenotypes = [...new Set([
+    ...assessed
+      .filter((c, index) => index === 0 || c.probability >= MIN_CANDIDATE_PROBABILITY)
+      .map(c => c.phenotype),
+    ...alternativePhenotypes
+  ])];
+
+  return {
+    candidates: assessed,
+    ambiguous: plausiblePhenotypes.length > 1,
+    plausible_phenotypes: plausiblePhenotypes
+  };
+}
+
+// ============================================================================
+// CARRIER STATUS (HLA)
+// HLA risk alleles are a carrier test, not a metabolizer phenotype: a drug is
+// screened for one allele (abacavir: HLA-B*57:01) and the phenotype is
+// Positive when either haplotype carries it
+// ============================================================================
+
+const CARRIER_POSITIVE = 'Positive';
+const CARRIER_NEGATIVE = 'Negative';
+
+/**
+ * Check whether a gene's phenotype is a carrier status (phenotype_method "carrier")
+ * @param {string} gene - Gene symbol
+ * @returns {boolean} Whether the gene is a carrier-status gene
+ */
+function isCarrierGene(gene) {
+  return Boolean(KNOWLEDGE_GENES[gene]) && KNOWLEDGE_GENES[gene].phenotype_method === 'carrier';
+}
+
+/**
+ * Reduce an HLA allele name to two-field (protein-level) resolution
+ * ("HLA-B*57:01:01" → "*57:01", "B*57:01" → "*57:01")
+ * @param {string} allele - Allele as typed
+ * @returns {string|null} Two-field allele, or null below two-field resolution ("*57")
+ */
+function normalizeHlaAllele(allele) {
+  const match = String(allele || '').match(/\*(\d+):(\d+)/);
+  return match ? `*${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Carrier status for one allele from an HLA typing result
+ *
+ * RULES:
+ * - Positive when either typed allele matches at two-field resolution
+ * - Negative when both alleles are typed at two-field resolution and neither matches
+ * - Unknown for missing, Indeterminate or low-resolution typing ("*57/*08")
+ *
+ * @param {string} diplotype - Typed HLA alleles (e.g., "*57:01/*08:01")
+ * @param {string} carrierAllele - Allele the drug is screened for (e.g., "*57:01")
+ * @returns {string} Positive, Negative or Unknown
+ */
+function determineCarrierPhenotype(diplotype, carrierAllele) {
+  if (!diplotype || diplotype === 'Unknown' || diplotype === 'Indeterminate') {
+    return 'Unknown';
+  }
+
+  const alleles = diplotype.split('/').map(normalizeHlaAllele);
+  if (alleles.includes(carrierAllele)) {
+    return CARRIER_POSITIVE;
+  }
+  return alleles.length === 2 && alleles.every(a => a !== null) ? CARRIER_NEGATIVE : 'Unknown';
+}
+
+/**
+ * Carrier status for one allele from its tag SNP (proxy without HLA typing)
+ *
+ * RULES:
+ * - The tag SNP comes from genes.json tag_snps (e.g., rs2395029 for *57:01)
+ * - The site must be called and pass the quality gates, otherwise Unknown
+ * - Any copy of the tag allele → Positive
+ * - Reference → Unknown: tag SNPs are ancestry-dependent proxies, so their
+ *   absence does not exclude the allele (only HLA typing gives Negative)
+ * - Callers lower confidence for tag-SNP calls
+ *
+ * @param {string} gene - Gene symbol (HLA-A, HLA-B)
+ * @param {string} carrierAllele - Allele the drug is screened for
+ * @param {Array} variants - All variants for the gene in this sample
+ * @returns {object} { rsid, status, allele_dosage, phenotype }
+ */
+function determineCarrierFromTagSnp(gene, carrierAllele, variants) {
+  const tagSnps = (KNOWLEDGE_GENES[gene] && KNOWLEDGE_GENES[gene].tag_snps) || {};
+  const rsid = tagSnps[carrierAllele];
+  if (!rsid) {
+    return { rsid: null, status: 'no_tag_snp', allele_dosage: null, phenotype: 'Unknown' };
+  }
+
+  const coverage = assessGeneCoverage(gene, variants);
+  const status = ['missing_sites', 'no_call_sites', 'filtered_sites']
+    .find(field => coverage[field].includes(rsid));
+  if (status || coverage.status === 'not_tested') {
+    return {
+      rsid,
+      status: status ? status.replace('_sites', '') : 'missing',
+      allele_dosage: null,
+      phenotype: 'Unknown'
+    };
+  }
+
+  const dosage = (variants || [])
+    .filter(v => v.quality_passed !== false && !v.sv_type)
+    .filter(v => (v.rsid && v.rsid.toLowerCase() === rsid) || v.star_allele === carrierAllele)
+    .reduce((max, v) => Math.max(max, getAlleleDosage(v)), 0);
+
+  return {
+    rsid,
+    status: 'called',
+    allele_dosage: dosage,
+    phenotype: dosage > 0 ? CARRIER_POSITIVE : 'Unknown'
+  };
+}
+
 // ============================================================================
 // MAIN PHENOTYPE DETERMINATION - PURE RULE-BASED (NO LLM)
 // ============================================================================
 
 /**
- * Determine phenotype from gene and diplotype using CPIC tables
- * Falls back to activity-score calculation for SLCO1B1 and DPYD
- * when diplotype not found in static lookup.
+ * Determine phenotype from gene and diplotype using the knowledge base
+ * - phenotype_method "activity_score" (CYP2D6, CYP2C9): classified from the
+ *   summed activity score; diplotype table only for alleles without a value
+ * - phenotype_method "diplotype_table": diplotype table first, then the
+ *   activity score when the gene has allele activity values (SLCO1B1, DPYD)
  * 
  * This is the CORE rule-based function - NO LLM involvement
  * 
@@ -365,18 +1108,32 @@ function determinePhenotypeByGene(gene, diplotype) {
     return 'Unknown';
   }
 
+  // Insufficient coverage: never map to a phenotype
+  if (diplotype === 'Indeterminate') {
+    return 'Indeterminate';
+  }
+
   const normalizedGene = gene.toUpperCase().trim();
   const normalizedDiplotype = normalizeDiplotype(diplotype);
 
-  // Get the phenotype map for this gene
-  const phenotypeMap = GENE_PHENOTYPE_MAPS[normalizedGene];
-  
-  if (!phenotypeMap) {
-    // Gene not in our CPIC tables
+  // Get the knowledge base entry for this gene
+  const geneEntry = KNOWLEDGE_GENES[normalizedGene];
+
+  if (!geneEntry || geneEntry.phenotype_method === 'carrier') {
+    // Gene not in our CPIC tables; carrier status needs the drug's allele
+    // (determineCarrierPhenotype)
     return 'Unknown';
   }
 
+  const activityScore = sumAlleleActivity(geneEntry, normalizedDiplotype);
+
+  // Activity-score genes: phenotype from the summed allele activity values
+  if (geneEntry.phenotype_method === 'activity_score' && activityScore !== null) {
+    return classifyActivityScore(geneEntry, activityScore);
+  }
+
   // Direct lookup in the CPIC table
+  const phenotypeMap = geneEntry.diplotype_phenotypes;
   const phenotype = phenotypeMap[normalizedDiplotype];
   
   if (phenotype) {
@@ -393,29 +1150,10 @@ function determinePhenotypeByGene(gene, diplotype) {
     }
   }
 
-  // =========================================================================
-  // ACTIVITY SCORE FALLBACK FOR SLCO1B1 AND DPYD
-  // If diplotype not in static table, calculate from allele function scores
-  // =========================================================================
-  
-  if (parts.length === 2) {
-    const [allele1, allele2] = parts;
-    
-    // SLCO1B1: Use activity score calculation
-    if (normalizedGene === 'SLCO1B1') {
-      const activityPhenotype = calculateSLCO1B1Phenotype(allele1, allele2);
-      if (activityPhenotype) {
-        return activityPhenotype;
-      }
-    }
-    
-    // DPYD: Use activity score calculation
-    if (normalizedGene === 'DPYD') {
-      const activityPhenotype = calculateDPYDPhenotype(allele1, allele2);
-      if (activityPhenotype) {
-        return activityPhenotype;
-      }
-    }
+  // Activity score fallback (SLCO1B1, DPYD): diplotype not in static table,
+  // calculate from allele function scores
+  if (activityScore !== null) {
+    return classifyActivityScore(geneEntry, activityScore);
   }
 
   // Diplotype not found in table AND not calculable - return Unknown
@@ -460,11 +1198,28 @@ function getPhenotypeDescription(phenotype) {
     'NM': 'Normal Metabolizer',
     'RM': 'Rapid Metabolizer',
     'UM': 'Ultra-rapid Metabolizer',
+    'Positive': 'Allele Carrier (Positive)',
+    'Negative': 'Non-carrier (Negative)',
+    'Normal': 'Normal G6PD Activity',
+    'Deficient': 'G6PD Deficient',
+    'Variable': 'Variable G6PD Activity (heterozygous female)',
     'Unknown': 'Unknown Phenotype'
   };
   return descriptions[phenotype] || 'Unknown Phenotype';
 }
 
+/**
+ * Gene-specific name of a phenotype, when the gene has one
+ * (e.g., CYP3A5 NM/IM → "Expresser", PM → "Non-expresser")
+ * @param {string} gene - Gene symbol
+ * @param {string} phenotype - Phenotype code
+ * @returns {string|null} Label from genes.json phenotype_labels, or null
+ */
+function getPhenotypeLabel(gene, phenotype) {
+  const labels = KNOWLEDGE_GENES[gene] && KNOWLEDGE_GENES[gene].phenotype_labels;
+  return (labels && labels[phenotype]) || null;
+}
+
 /**
  * Validate that a phenotype is clinically meaningful for a gene
  * @param {string} gene - Gene symbol
@@ -472,24 +1227,26 @@ function getPhenotypeDescription(phenotype) {
  * @returns {boolean} Whether the phenotype is valid for the gene
  */
 function isValidPhenotypeForGene(gene, phenotype) {
-  const validPhenotypes = {
-    'CYP2C19': ['PM', 'IM', 'NM', 'RM', 'UM', 'Unknown'],
-    'CYP2D6': ['PM', 'IM', 'NM', 'UM', 'Unknown'],
-    'CYP2C9': ['PM', 'IM', 'NM', 'Unknown'],
-    'SLCO1B1': ['PM', 'IM', 'NM', 'Unknown'],
-    'TPMT': ['PM', 'IM', 'NM', 'Unknown'],
-    'DPYD': ['PM', 'IM', 'NM', 'Unknown'],
-  };
-
-  const allowed = validPhenotypes[gene] || ['Unknown'];
+  const geneEntry = KNOWLEDGE_GENES[gene];
+  const allowed = geneEntry ? [...geneEntry.phenotypes, 'Unknown'] : ['Unknown'];
   return allowed.includes(phenotype);
 }
 
 module.exports = {
   determineDiplotype,
+  resolveDiplotype,
+  getAlleleDosage,
   determinePhenotype,
   determinePhenotypeByGene,
+  calculateActivityScore,
+  rankCandidateDiplotypes,
+  assessCandidatePhenotypes,
   getPhenotypeDescription,
+  getPhenotypeLabel,
+  isCarrierGene,
+  normalizeHlaAllele,
+  determineCarrierPhenotype,
+  determineCarrierFromTagSnp,
   normalizeDiplotype,
   isValidPhenotypeForGene,
   // Export tables for testing
@@ -499,5 +1256,12 @@ module.exports = {
   SLCO1B1_PHENOTYPE_MAP,
   TPMT_PHENOTYPE_MAP,
   DPYD_PHENOTYPE_MAP,
+  NUDT15_PHENOTYPE_MAP,
+  CYP3A5_PHENOTYPE_MAP,
+  UGT1A1_PHENOTYPE_MAP,
+  CYP2B6_PHENOTYPE_MAP,
   GENE_PHENOTYPE_MAPS,
+  CYP2D6_ALLELE_FUNCTION,
+  CYP2C9_ALLELE_FUNCTION,
+  COMPOSITE_ALLELES,
 };
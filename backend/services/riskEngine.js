@@ -2,190 +2,90 @@
  * Drug Risk Engine Module
  * CPIC-Aligned Rule-Based Drug Risk Prediction
  * NO LLM involvement in decision making - Pure deterministic logic
+ * Rules and rationale text are read from the versioned knowledge base.
  */
 
+const { getKnowledgeBase } = require('./knowledgeBase');
+
 // ============================================================================
 // DRUG-GENE MAPPING
+// Drugs, aliases and their primary gene come from the versioned knowledge
+// base (knowledge/drugs.json)
 // ============================================================================
 
-const DRUG_GENE_MAP = {
-  'CODEINE': 'CYP2D6',
-  'CLOPIDOGREL': 'CYP2C19',
-  'WARFARIN': 'CYP2C9',
-  'SIMVASTATIN': 'SLCO1B1',
-  'AZATHIOPRINE': 'TPMT',
-  'FLUOROURACIL': 'DPYD',
-  '5-FLUOROURACIL': 'DPYD',
-  '5-FU': 'DPYD',
-};
+const KNOWLEDGE_BASE = getKnowledgeBase();
+
+const DRUG_GENE_MAP = KNOWLEDGE_BASE.drugGeneMap;
 
 const SUPPORTED_DRUGS = Object.keys(DRUG_GENE_MAP);
 
 // ============================================================================
 // STEP 2: CPIC-ALIGNED DRUG RISK RULES
 // Risk labels: Safe, Adjust Dosage, Toxic, Ineffective, Unknown
+// Per-drug phenotype → { risk, severity, confidence } (drugs.json
+// "risk_by_phenotype"); aliases share their drug's rules
 // ============================================================================
 
-/**
- * CLOPIDOGREL Risk Rules (CYP2C19)
- * CPIC Level A - Strong recommendation
- */
-const CLOPIDOGREL_RISK = {
-  'PM': { risk: 'Ineffective', severity: 'high', confidence: 0.95 },
-  'IM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.90 },
-  'NM': { risk: 'Safe', severity: 'none', confidence: 0.95 },
-  'RM': { risk: 'Safe', severity: 'none', confidence: 0.90 },
-  'UM': { risk: 'Safe', severity: 'none', confidence: 0.90 },
-  'Unknown': { risk: 'Unknown', severity: 'low', confidence: 0.50 },
-};
+const RISK_RULES = KNOWLEDGE_BASE.riskRules;
 
-/**
- * CODEINE Risk Rules (CYP2D6)
- * CPIC Level A - Strong recommendation
- */
-const CODEINE_RISK = {
-  'PM': { risk: 'Ineffective', severity: 'high', confidence: 0.95 },
-  'IM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.90 },
-  'NM': { risk: 'Safe', severity: 'none', confidence: 0.95 },
-  'RM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.85 },
-  'UM': { risk: 'Toxic', severity: 'critical', confidence: 0.95 },
-  'Unknown': { risk: 'Unknown', severity: 'low', confidence: 0.50 },
-};
+// ============================================================================
+// MULTI-GENE RULES
+// Drugs whose dosing combines several genes (thiopurines: TPMT + NUDT15)
+// carry ordered combined rules (drugs.json "combined_rules", first match
+// wins). When no combined rule matches because a co-gene was not typed,
+// the primary gene's single-gene rule applies with reduced confidence.
+// ============================================================================
 
-/**
- * WARFARIN Risk Rules (CYP2C9)
- * CPIC Level A - Strong recommendation
- */
-const WARFARIN_RISK = {
-  'PM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.95 },
-  'IM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.90 },
-  'NM': { risk: 'Safe', severity: 'none', confidence: 0.95 },
-  'RM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'UM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'Unknown': { risk: 'Unknown', severity: 'low', confidence: 0.50 },
-};
+const DRUG_GENES = KNOWLEDGE_BASE.drugGenes;
 
-/**
- * SIMVASTATIN Risk Rules (SLCO1B1)
- * CPIC Level A - Strong recommendation
- */
-const SIMVASTATIN_RISK = {
-  'PM': { risk: 'Toxic', severity: 'critical', confidence: 0.95 },
-  'IM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.90 },
-  'NM': { risk: 'Safe', severity: 'none', confidence: 0.95 },
-  'RM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'UM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'Unknown': { risk: 'Unknown', severity: 'low', confidence: 0.50 },
-};
+const COMBINED_RULES = KNOWLEDGE_BASE.combinedRules;
 
-/**
- * AZATHIOPRINE Risk Rules (TPMT)
- * CPIC Level A - Strong recommendation
- */
-const AZATHIOPRINE_RISK = {
-  'PM': { risk: 'Toxic', severity: 'critical', confidence: 0.95 },
-  'IM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.90 },
-  'NM': { risk: 'Safe', severity: 'none', confidence: 0.95 },
-  'RM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'UM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'Unknown': { risk: 'Unknown', severity: 'low', confidence: 0.50 },
-};
+const UNTYPED_GENE_CONFIDENCE_PENALTY = 0.2;  // Per co-gene without a phenotype
 
-/**
- * FLUOROURACIL Risk Rules (DPYD)
- * CPIC Level A - Strong recommendation
- */
-const FLUOROURACIL_RISK = {
-  'PM': { risk: 'Toxic', severity: 'critical', confidence: 0.95 },
-  'IM': { risk: 'Adjust Dosage', severity: 'moderate', confidence: 0.90 },
-  'NM': { risk: 'Safe', severity: 'none', confidence: 0.95 },
-  'RM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'UM': { risk: 'Safe', severity: 'none', confidence: 0.85 },
-  'Unknown': { risk: 'Unknown', severity: 'low', confidence: 0.50 },
-};
+// HLA-screened drugs → HLA gene → the carrier allele tested
+// (ABACAVIR → HLA-B *57:01; CARBAMAZEPINE → HLA-A *31:01 and HLA-B *15:02)
+const CARRIER_ALLELES = KNOWLEDGE_BASE.carrierAlleles;
 
-/**
- * Master Drug Risk Rules Table
- */
-const RISK_RULES = {
-  'CODEINE': CODEINE_RISK,
-  'CLOPIDOGREL': CLOPIDOGREL_RISK,
-  'WARFARIN': WARFARIN_RISK,
-  'SIMVASTATIN': SIMVASTATIN_RISK,
-  'AZATHIOPRINE': AZATHIOPRINE_RISK,
-  'FLUOROURACIL': FLUOROURACIL_RISK,
-  '5-FLUOROURACIL': FLUOROURACIL_RISK,
-  '5-FU': FLUOROURACIL_RISK,
-};
+// ============================================================================
+// QUALITY-BASED CONFIDENCE ADJUSTMENT
+// Each call excluded by the quality filter lowers confidence
+// ============================================================================
+
+const LOW_QUALITY_CONFIDENCE_PENALTY = 0.1;   // Per low-quality call in the gene
+const MAX_LOW_QUALITY_PENALTY = 0.3;          // Total penalty cap
+const MIN_CONFIDENCE_SCORE = 0.2;             // Floor for known drug rules
+const TAG_SNP_CONFIDENCE_PENALTY = 0.2;       // HLA carrier status from a tag SNP, not typing
+
+// ============================================================================
+// AMBIGUOUS DIPLOTYPE HANDLING
+// When plausible candidate diplotypes map to different phenotypes the most
+// conservative (most severe) risk is reported with reduced confidence
+// ============================================================================
+
+const AMBIGUOUS_PHENOTYPE_PENALTY = 0.15;
+
+// Severity order used to pick the most conservative risk (highest first)
+const SEVERITY_RANK = ['critical', 'high', 'moderate', 'low', 'none'];
+
+// A dose increase (tacrolimus in CYP3A5 expressers) is never the conservative
+// choice: it ranks below standard dosing
+const DOSE_INCREASE_RANK = SEVERITY_RANK.length;
 
 // ============================================================================
 // STEP 3: SEVERITY MAPPING (Aligned with risk labels)
 // ============================================================================
 
-const SEVERITY_MAP = {
-  'Safe': 'none',
-  'Adjust Dosage': 'moderate',
-  'Ineffective': 'high',
-  'Toxic': 'critical',
-  'Unknown': 'low',
-};
+const SEVERITY_MAP = KNOWLEDGE_BASE.severityMap;
 
 // ============================================================================
 // STEP 4: CLINICAL RECOMMENDATIONS (Deterministic Templates)
+// Actions, drug-specific rationales and generic fallback rationales are
+// knowledge base text (drugs.json) - NO LLM involvement
 // ============================================================================
 
-/**
- * Clinical action templates - NO LLM involvement
- */
-const CLINICAL_ACTIONS = {
-  'Safe': 'Standard dosing recommended. No pharmacogenomic adjustments required.',
-  'Adjust Dosage': 'Dose modification recommended based on pharmacogenomic profile. Consult CPIC guidelines for specific dosing recommendations.',
-  'Toxic': 'High risk of severe toxicity. Avoid use or consider significant dose reduction (>50%) under specialist supervision. Alternative therapy strongly recommended.',
-  'Ineffective': 'Reduced or no therapeutic effect expected due to altered metabolism. Consider alternative medication with different metabolic pathway.',
-  'Unknown': 'Insufficient pharmacogenomic data for recommendation. Standard clinical monitoring advised.',
-};
+const CLINICAL_ACTIONS = KNOWLEDGE_BASE.clinicalActions;
 
-/**
- * Drug-specific clinical rationale templates
- */
-const DRUG_RATIONALES = {
-  'CLOPIDOGREL': {
-    'Safe': 'CYP2C19 metabolizer status indicates normal conversion of clopidogrel to its active metabolite. Standard antiplatelet effect expected.',
-    'Adjust Dosage': 'Reduced CYP2C19 function may decrease conversion to active metabolite. Consider prasugrel or ticagrelor as alternatives per CPIC guidelines.',
-    'Ineffective': 'Poor CYP2C19 metabolism significantly impairs clopidogrel activation. High risk of treatment failure. Use alternative P2Y12 inhibitor (prasugrel/ticagrelor).',
-    'Unknown': 'Unable to determine CYP2C19 metabolizer status. Monitor for adequate antiplatelet response.',
-  },
-  'CODEINE': {
-    'Safe': 'CYP2D6 normal metabolizer status indicates appropriate conversion of codeine to morphine. Standard analgesic effect expected.',
-    'Adjust Dosage': 'Altered CYP2D6 function affects morphine formation. Consider dose adjustment or alternative analgesic.',
-    'Toxic': 'Ultra-rapid CYP2D6 metabolism causes excessive morphine formation. HIGH RISK of respiratory depression and death. AVOID codeine. Use alternative analgesic.',
-    'Ineffective': 'Poor CYP2D6 metabolism prevents conversion to morphine. No analgesic effect expected. Use alternative pain medication.',
-    'Unknown': 'Unable to determine CYP2D6 metabolizer status. Monitor closely for efficacy and adverse effects.',
-  },
-  'WARFARIN': {
-    'Safe': 'CYP2C9 normal function indicates standard warfarin metabolism. Standard dosing algorithm appropriate.',
-    'Adjust Dosage': 'Reduced CYP2C9 function decreases warfarin metabolism. Initiate with lower dose and monitor INR closely. Use CPIC/IWPC dosing algorithm.',
-    'Unknown': 'Unable to determine CYP2C9 metabolizer status. Initiate therapy cautiously with frequent INR monitoring.',
-  },
-  'SIMVASTATIN': {
-    'Safe': 'SLCO1B1 normal function indicates standard hepatic uptake of simvastatin. Standard dosing appropriate.',
-    'Adjust Dosage': 'Decreased SLCO1B1 function increases systemic simvastatin exposure. Limit dose to 20mg/day or consider alternative statin (pravastatin, rosuvastatin).',
-    'Toxic': 'Poor SLCO1B1 function significantly increases myopathy risk. AVOID simvastatin >20mg. Consider pravastatin or rosuvastatin which are less SLCO1B1-dependent.',
-    'Unknown': 'Unable to determine SLCO1B1 function status. Consider lower starting dose with monitoring for muscle symptoms.',
-  },
-  'AZATHIOPRINE': {
-    'Safe': 'TPMT normal activity indicates standard thiopurine metabolism. Standard immunosuppressive dosing appropriate.',
-    'Adjust Dosage': 'Intermediate TPMT activity increases risk of myelosuppression. Reduce dose by 30-70% per CPIC guidelines. Monitor CBC weekly initially.',
-    'Toxic': 'Deficient TPMT activity causes severe, life-threatening myelosuppression. Reduce dose by 90% or AVOID. If used, requires intensive monitoring.',
-    'Unknown': 'Unable to determine TPMT activity. Consider lower starting dose with frequent CBC monitoring.',
-  },
-  'FLUOROURACIL': {
-    'Safe': 'DPYD normal activity indicates standard fluoropyrimidine metabolism. Standard oncology dosing appropriate.',
-    'Adjust Dosage': 'Decreased DPYD activity increases toxicity risk. Reduce starting dose by 25-50% per CPIC guidelines. Monitor closely for toxicity.',
-    'Toxic': 'Deficient DPYD activity causes severe, potentially fatal toxicity (mucositis, myelosuppression, neurotoxicity). AVOID fluoropyrimidines or reduce dose by ≥50%.',
-    'Unknown': 'Unable to determine DPYD activity. Consider phenotyping or cautious dosing with close toxicity monitoring.',
-  },
-};
+const DRUG_RATIONALES = KNOWLEDGE_BASE.drugRationales;
 
 // ============================================================================
 // VALIDATION FUNCTIONS
@@ -247,6 +147,25 @@ function getPrimaryGene(drug) {
   return DRUG_GENE_MAP[drug] || null;
 }
 
+/**
+ * Get every gene a drug's risk depends on
+ * @param {string} drug - Drug name (uppercase)
+ * @returns {Array} Gene symbols, primary gene first (empty for unknown drugs)
+ */
+function getDrugGenes(drug) {
+  return DRUG_GENES[drug] || [];
+}
+
+/**
+ * Get the HLA allele an HLA-screened drug is tested for in one gene
+ * @param {string} drug - Drug name (uppercase)
+ * @param {string} gene - Gene symbol (primary gene or co-gene)
+ * @returns {string|null} Carrier allele (e.g., "*57:01" for ABACAVIR, HLA-B), or null
+ */
+function getCarrierAllele(drug, gene) {
+  return (CARRIER_ALLELES[drug] && CARRIER_ALLELES[drug][gene]) || null;
+}
+
 // ============================================================================
 // STEP 5: RISK CALCULATION - PURE RULE ENGINE (NO LLM)
 // ============================================================================
@@ -255,14 +174,172 @@ function getPrimaryGene(drug) {
  * Calculate risk assessment for a drug-phenotype combination
  * THIS IS THE CORE RULE-BASED FUNCTION - NO LLM INVOLVEMENT
  * 
+ * AMBIGUITY RULES:
+ * - evidence.candidatePhenotypes lists the phenotypes of every plausible
+ *   candidate diplotype (assessCandidatePhenotypes)
+ * - With more than one, the risk of each is calculated and the most severe
+ *   is returned (ties keep the called phenotype), with
+ *   AMBIGUOUS_PHENOTYPE_PENALTY taken off its confidence
+ * - Risks that raise the dose (dose_direction "increase") rank below every
+ *   severity, so an uncertain expresser call keeps the standard dose
+ * - risk_phenotype names the phenotype the returned risk belongs to
+ *
+ * MULTI-GENE DRUGS:
+ * - evidence.genePhenotypes gives each co-gene's phenotype, or a list of
+ *   plausible phenotypes (called phenotype first) for ambiguous co-genes
+ * - Every combination of primary and co-gene phenotypes is assessed the same
+ *   way; combined_phenotypes names the combination behind the returned risk
+ *
  * @param {string} drug - Drug name (uppercase)
- * @param {string} phenotype - Phenotype code (PM, IM, NM, RM, UM, Unknown)
+ * @param {string} phenotype - Phenotype code (PM, IM, NM, RM, UM, Positive/Negative for HLA carriers, Unknown, Indeterminate)
  * @param {boolean} hasVariants - Whether variants were detected (for fallback)
+ * @param {object} evidence - Evidence ({ lowQualityCalls: number, tagSnpProxy: boolean, candidatePhenotypes: Array, genePhenotypes: object })
  * @returns {object} Risk assessment with consistent severity mapping
  */
-function calculateRisk(drug, phenotype, hasVariants = false) {
+function calculateRisk(drug, phenotype, hasVariants = false, evidence = {}) {
+  const candidatePhenotypes = [...new Set([phenotype, ...(evidence.candidatePhenotypes || [])])];
+  const scenarios = getPhenotypeScenarios(candidatePhenotypes, evidence.genePhenotypes || {});
+
+  const risks = scenarios.map(scenario => ({
+    ...calculatePhenotypeRisk(drug, scenario.phenotype, evidence, scenario.genePhenotypes),
+    risk_phenotype: scenario.phenotype,
+    ...(Object.keys(scenario.genePhenotypes).length > 0 && {
+      combined_phenotypes: { [getPrimaryGene(drug.toUpperCase().trim())]: scenario.phenotype, ...scenario.genePhenotypes }
+    })
+  }));
+
+  if (risks.length < 2) {
+    return risks[0];
+  }
+  const conservative = risks.reduce((worst, risk) =>
+    getCautionRank(risk) < getCautionRank(worst) ? risk : worst
+  );
+
+  return {
+    ...conservative,
+    confidence_score: Math.max(
+      conservative.confidence_score - AMBIGUOUS_PHENOTYPE_PENALTY,
+      Math.min(conservative.confidence_score, MIN_CONFIDENCE_SCORE)
+    ),
+    ambiguous: true
+  };
+}
+
+/**
+ * Rank of a risk when picking the most conservative one (lower is more cautious)
+ * @param {object} risk - Result of calculatePhenotypeRisk
+ * @returns {number} SEVERITY_RANK index, or DOSE_INCREASE_RANK for dose increases
+ */
+function getCautionRank(risk) {
+  return risk.dose_direction === 'increase'
+    ? DOSE_INCREASE_RANK
+    : SEVERITY_RANK.indexOf(risk.severity);
+}
+
+/**
+ * Every combination of primary-gene and co-gene phenotypes to assess
+ * @param {Array} candidatePhenotypes - Primary-gene phenotypes (called first)
+ * @param {object} genePhenotypes - Co-gene → phenotype or phenotype list
+ * @returns {Array} Scenarios ({ phenotype, genePhenotypes }), called combination first
+ */
+function getPhenotypeScenarios(candidatePhenotypes, genePhenotypes) {
+  let scenarios = candidatePhenotypes.map(phenotype => ({ phenotype, genePhenotypes: {} }));
+
+  for (const [gene, phenotypes] of Object.entries(genePhenotypes)) {
+    const options = [...new Set([].concat(phenotypes))];
+    scenarios = scenarios.flatMap(scenario => options.map(option => ({
+      phenotype: scenario.phenotype,
+      genePhenotypes: { ...scenario.genePhenotypes, [gene]: option }
+    })));
+  }
+
+  return scenarios;
+}
+
+/**
+ * Find the first combined rule matching a drug's gene phenotypes
+ * A rule matches when every gene it lists has one of the rule's codes.
+ * @param {string} drug - Drug name (uppercase)
+ * @param {object} phenotypes - Gene → phenotype (primary gene included)
+ * @returns {object|null} Combined rule, or null (no combined rules or no match)
+ */
+function findCombinedRule(drug, phenotypes) {
+  const rules = COMBINED_RULES[drug] || [];
+  return rules.find(rule =>
+    Object.entries(rule.phenotypes).every(([gene, codes]) => [].concat(codes).includes(phenotypes[gene]))
+  ) || null;
+}
+
+/**
+ * Risk for a single phenotype (rule lookup with Unknown fallbacks)
+ *
+ * RULES:
+ * - Multi-gene drugs use the first matching combined rule
+ * - Otherwise the primary gene's rule applies; for multi-gene drugs each
+ *   co-gene without a phenotype lowers confidence by
+ *   UNTYPED_GENE_CONFIDENCE_PENALTY
+ *
+ * @param {string} drug - Drug name
+ * @param {string} phenotype - Phenotype code
+ * @param {object} evidence - Evidence quality ({ lowQualityCalls: number })
+ * @param {object} genePhenotypes - Co-gene → phenotype (multi-gene drugs)
+ * @returns {object} { risk_label, confidence_score, severity }
+ */
+function calculatePhenotypeRisk(drug, phenotype, evidence = {}, genePhenotypes = {}) {
   const normalizedDrug = drug.toUpperCase().trim();
-  const drugRules = RISK_RULES[normalizedDrug];
+
+  if (!COMBINED_RULES[normalizedDrug]) {
+    return calculateSingleGeneRisk(normalizedDrug, phenotype, evidence);
+  }
+
+  const combinedRule = findCombinedRule(normalizedDrug, {
+    [getPrimaryGene(normalizedDrug)]: phenotype,
+    ...genePhenotypes
+  });
+  if (combinedRule) {
+    return {
+      risk_label: combinedRule.risk,
+      confidence_score: adjustConfidenceForQuality(combinedRule.confidence, evidence),
+      severity: SEVERITY_MAP[combinedRule.risk] || combinedRule.severity,
+      ...(combinedRule.dose_direction && { dose_direction: combinedRule.dose_direction })
+    };
+  }
+
+  const risk = calculateSingleGeneRisk(normalizedDrug, phenotype, evidence);
+  const untypedGenes = getDrugGenes(normalizedDrug).slice(1)
+    .filter(gene => !isTypedPhenotype(gene, genePhenotypes[gene]));
+  if (untypedGenes.length === 0) {
+    return risk;
+  }
+  return {
+    ...risk,
+    confidence_score: Math.max(
+      risk.confidence_score - untypedGenes.length * UNTYPED_GENE_CONFIDENCE_PENALTY,
+      Math.min(risk.confidence_score, MIN_CONFIDENCE_SCORE)
+    )
+  };
+}
+
+/**
+ * Check whether a gene has a real phenotype call (not Unknown/Indeterminate)
+ * @param {string} gene - Gene symbol
+ * @param {string} phenotype - Phenotype code
+ * @returns {boolean} Whether the phenotype is one the gene defines
+ */
+function isTypedPhenotype(gene, phenotype) {
+  const entry = KNOWLEDGE_BASE.genes[gene];
+  return Boolean(entry) && entry.phenotypes.includes(phenotype);
+}
+
+/**
+ * Risk from the primary gene's phenotype alone (risk_by_phenotype)
+ * @param {string} drug - Drug name (uppercase)
+ * @param {string} phenotype - Phenotype code
+ * @param {object} evidence - Evidence quality ({ lowQualityCalls: number })
+ * @returns {object} { risk_label, confidence_score, severity, dose_direction? }
+ */
+function calculateSingleGeneRisk(drug, phenotype, evidence = {}) {
+  const drugRules = RISK_RULES[drug];
   
   // STEP 6: Fallback for unknown drug
   if (!drugRules) {
@@ -277,7 +354,7 @@ function calculateRisk(drug, phenotype, hasVariants = false) {
   if (!phenotype || phenotype === 'Unknown') {
     return {
       risk_label: 'Unknown',
-      confidence_score: 0.50,
+      confidence_score: adjustConfidenceForQuality(0.50, evidence),
       severity: 'low' // Aligned severity for Unknown
     };
   }
@@ -289,7 +366,7 @@ function calculateRisk(drug, phenotype, hasVariants = false) {
     // Phenotype not in rules - return Unknown (NEVER guess)
     return {
       risk_label: 'Unknown',
-      confidence_score: 0.50,
+      confidence_score: adjustConfidenceForQuality(0.50, evidence),
       severity: 'low'
     };
   }
@@ -299,11 +376,32 @@ function calculateRisk(drug, phenotype, hasVariants = false) {
   
   return {
     risk_label: riskData.risk,
-    confidence_score: riskData.confidence,
-    severity: alignedSeverity
+    confidence_score: adjustConfidenceForQuality(riskData.confidence, evidence),
+    severity: alignedSeverity,
+    // Adjust Dosage rules that raise the dose say so (tacrolimus, CYP3A5 expressers)
+    ...(riskData.dose_direction && { dose_direction: riskData.dose_direction })
   };
 }
 
+/**
+ * Lower a confidence score for low-quality genotype evidence
+ * - Each low-quality call: LOW_QUALITY_CONFIDENCE_PENALTY (capped)
+ * - Carrier status from a tag SNP proxy: TAG_SNP_CONFIDENCE_PENALTY
+ * @param {number} confidence - Rule confidence
+ * @param {object} evidence - Evidence quality ({ lowQualityCalls: number, tagSnpProxy: boolean })
+ * @returns {number} Adjusted confidence
+ */
+function adjustConfidenceForQuality(confidence, evidence = {}) {
+  const lowQualityCalls = evidence.lowQualityCalls || 0;
+  if (lowQualityCalls === 0 && !evidence.tagSnpProxy) {
+    return confidence;
+  }
+
+  const penalty = Math.min(lowQualityCalls * LOW_QUALITY_CONFIDENCE_PENALTY, MAX_LOW_QUALITY_PENALTY) +
+    (evidence.tagSnpProxy ? TAG_SNP_CONFIDENCE_PENALTY : 0);
+  return Math.max(confidence - penalty, MIN_CONFIDENCE_SCORE);
+}
+
 // ============================================================================
 // CLINICAL RECOMMENDATION - DETERMINISTIC TEMPLATE (NO LLM)
 // ============================================================================
@@ -312,12 +410,20 @@ function calculateRisk(drug, phenotype, hasVariants = false) {
  * Get clinical recommendation based on risk
  * THIS IS DETERMINISTIC - NO LLM INVOLVEMENT
  * 
+ * RATIONALE ORDER:
+ * - A matching combined rule's rationale (multi-gene drugs)
+ * - The phenotype rule's own rationale, when it has one (efavirenz IM and
+ *   PM share "Adjust Dosage" but not the dose)
+ * - The drug's rationale for the risk label, else the generic template
+ *
  * @param {string} riskLabel - Risk label from calculateRisk
  * @param {string} drug - Drug name
  * @param {string} phenotype - Phenotype code
+ * @param {object} combinedPhenotypes - Gene → phenotype for multi-gene drugs
+ *   (calculateRisk combined_phenotypes); a matching combined rule supplies the rationale
  * @returns {object} Clinical recommendation with action and rationale
  */
-function getClinicalRecommendation(riskLabel, drug, phenotype) {
+function getClinicalRecommendation(riskLabel, drug, phenotype, combinedPhenotypes = null) {
   const normalizedDrug = drug.toUpperCase().trim();
   
   // Get generic action
@@ -325,31 +431,26 @@ function getClinicalRecommendation(riskLabel, drug, phenotype) {
   
   // Get drug-specific rationale if available
   const drugRationales = DRUG_RATIONALES[normalizedDrug];
+  const combinedRule = combinedPhenotypes ? findCombinedRule(normalizedDrug, combinedPhenotypes) : null;
+  const phenotypeRule = RISK_RULES[normalizedDrug] ? RISK_RULES[normalizedDrug][phenotype] : null;
   let rationale;
   
-  if (drugRationales && drugRationales[riskLabel]) {
+  if (combinedRule && combinedRule.risk === riskLabel) {
+    rationale = combinedRule.rationale;
+  } else if (phenotypeRule && phenotypeRule.risk === riskLabel && phenotypeRule.rationale) {
+    rationale = phenotypeRule.rationale;
+  } else if (drugRationales && drugRationales[riskLabel]) {
     rationale = drugRationales[riskLabel];
   } else {
-    // Fallback to generic rationale
-    const gene = DRUG_GENE_MAP[normalizedDrug] || 'relevant gene';
-    const phenotypeDesc = phenotype || 'Unknown';
-    
-    switch (riskLabel) {
-      case 'Safe':
-        rationale = `${phenotypeDesc} phenotype for ${gene} indicates standard ${normalizedDrug} metabolism. No dose adjustment required.`;
-        break;
-      case 'Adjust Dosage':
-        rationale = `${phenotypeDesc} phenotype for ${gene} indicates altered ${normalizedDrug} metabolism. Dose modification per CPIC guidelines recommended.`;
-        break;
-      case 'Toxic':
-        rationale = `${phenotypeDesc} phenotype for ${gene} indicates significantly altered metabolism with high toxicity risk for ${normalizedDrug}.`;
-        break;
-      case 'Ineffective':
-        rationale = `${phenotypeDesc} phenotype for ${gene} indicates reduced drug activation, leading to therapeutic failure with ${normalizedDrug}.`;
-        break;
-      default:
-        rationale = `Unable to determine ${gene} metabolizer status. Clinical monitoring recommended before ${normalizedDrug} administration.`;
-    }
+    // Fallback to generic rationale ({phenotype}, {gene}, {drug} placeholders)
+    const template = KNOWLEDGE_BASE.fallbackRationales[riskLabel] ||
+      KNOWLEDGE_BASE.fallbackRationales['Unknown'] || '';
+    const values = {
+      phenotype: phenotype || 'Unknown',
+      gene: DRUG_GENE_MAP[normalizedDrug] || 'relevant gene',
+      drug: normalizedDrug
+    };
+    rationale = template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
   }
 
   return {
@@ -405,7 +506,10 @@ module.exports = {
   validateDrug,
   parseDrugInput,
   getPrimaryGene,
+  getDrugGenes,
+  getCarrierAllele,
   calculateRisk,
+  adjustConfidenceForQuality,
   getClinicalRecommendation,
   getCompleteRiskAssessment,
   DRUG_GENE_MAP,
@@ -0,0 +1,202 @@
+/**
+ * Warfarin Dosing Module
+ * Predicts a weekly warfarin dose with the IWPC pharmacogenetic algorithm
+ * (CPIC warfarin guideline) from CYP2C9, VKORC1 and CYP4F2 genotypes and
+ * the patient's clinical covariates
+ *
+ * THIS IS DETERMINISTIC - NO LLM INVOLVEMENT
+ * The coefficients live in the knowledge base (drugs.json "dose_algorithm");
+ * this module only evaluates them. The risk label is not changed by the dose.
+ */
+
+const { getKnowledgeBase } = require('./knowledgeBase');
+const { assessGeneCoverage } = require('./geneCoverage');
+const { getAlleleDosage } = require('./phenotypeMapper');
+const { GENE_ALLELE_DEFINITIONS } = require('./alleleDefinitions');
+
+// Drug → dose_algorithm (aliases included)
+const DOSE_ALGORITHMS = getKnowledgeBase().doseAlgorithms;
+
+// Clinical covariates the algorithm cannot be evaluated without
+const REQUIRED_INPUTS = ['age', 'height_cm', 'weight_kg'];
+
+// Race category used when race was not given (IWPC "missing or mixed")
+const DEFAULT_RACE = 'Missing or Mixed';
+
+/**
+ * Get the dose-prediction model of a drug
+ * @param {string} drug - Drug name (uppercase)
+ * @returns {object|null} drugs.json "dose_algorithm", or null when the drug has none
+ */
+function getDoseAlgorithm(drug) {
+  return DOSE_ALGORITHMS[drug] || null;
+}
+
+// ============================================================================
+// DOSING GENOTYPES
+// ============================================================================
+
+/**
+ * Genotype of a single-site dosing gene (VKORC1 -1639G>A, CYP4F2 *3)
+ *
+ * RULES:
+ * - The site must be called (coverage complete); a missing, no-called or
+ *   filtered site is "Unknown", never assumed reference
+ * - ALT copies at the site (0, 1, 2) select the knowledge-base label,
+ *   e.g. VKORC1 G/G, G/A, A/A
+ * - Calls failing the quality gates are ignored
+ *
+ * @param {string} gene - Gene symbol
+ * @param {object} site - dose_algorithm "dosing_sites" entry ({ rsid, genotypes })
+ * @param {Array} variants - All variants for the gene in this sample
+ * @returns {string} Genotype label or "Unknown"
+ */
+function getDosingSiteGenotype(gene, site, variants) {
+  if (!variants || assessGeneCoverage(gene, variants).status !== 'complete') {
+    return 'Unknown';
+  }
+
+  const definition = (GENE_ALLELE_DEFINITIONS[gene] || []).find(d => d.rsid === site.rsid);
+  const dosage = variants
+    .filter(v => v.quality_passed !== false && !v.sv_type)
+    .filter(v => (v.rsid && v.rsid.toLowerCase() === site.rsid.toLowerCase()) ||
+      (definition && v.star_allele === definition.allele))
+    .reduce((max, v) => Math.max(max, getAlleleDosage(v)), 0);
+
+  return site.genotypes[Math.min(dosage, 2)];
+}
+
+// ============================================================================
+// DOSE PREDICTION
+// ============================================================================
+
+/**
+ * Predict the weekly dose of a drug with a dose_algorithm
+ *
+ * ALGORITHM (IWPC, Klein et al. 2009):
+ *   sqrt(weekly dose) = intercept
+ *     + age_decades × floor(age / 10) + height_cm × height + weight_kg × weight
+ *     + genotype coefficients (VKORC1 site genotype, CYP2C9 diplotype)
+ *     + race coefficient + one coefficient per interacting drug group given
+ *   weekly dose = sqrt² (mg/week)
+ *
+ * RULES:
+ * - age, height_cm or weight_kg missing → no dose (listed in missing_inputs)
+ * - Untyped genes and diplotypes outside the model (e.g., CYP2C9 *1/*8)
+ *   use the model's "Unknown" coefficient and add a note
+ * - Race not given → "Missing or Mixed"
+ * - Genotype adjustments (CYP4F2 *3: +5% per copy) are applied to the
+ *   weekly dose, except for the races the knowledge base excludes
+ *
+ * @param {object} algorithm - drugs.json "dose_algorithm"
+ * @param {object} diplotypes - Gene → diplotype for genes typed as star alleles (CYP2C9)
+ * @param {object|null} sampleGeneVariants - Gene → variants for this sample
+ * @param {object} clinical - parseClinicalInputs inputs
+ * @returns {object} Predicted dose with the inputs it used
+ */
+function predictWeeklyDose(algorithm, diplotypes, sampleGeneVariants, clinical = {}) {
+  const model = algorithm.sqrt_weekly_dose;
+  const sites = algorithm.dosing_sites || {};
+  const notes = [];
+
+  const genotypes = {};
+  for (const [gene, site] of Object.entries(sites)) {
+    genotypes[gene] = getDosingSiteGenotype(gene, site, sampleGeneVariants && sampleGeneVariants[gene]);
+  }
+  for (const gene of Object.keys(model.genotypes || {})) {
+    if (!sites[gene]) {
+      genotypes[gene] = diplotypes[gene] || 'Unknown';
+    }
+  }
+
+  const race = clinical.race || DEFAULT_RACE;
+  const interacting = {};
+  for (const [term, drugs] of Object.entries(algorithm.interacting_drugs || {})) {
+    const given = (clinical.interacting_drugs || []).filter(d => drugs.includes(d));
+    if (given.length > 0) {
+      interacting[term] = given;
+    }
+  }
+
+  const missingInputs = REQUIRED_INPUTS.filter(field => clinical[field] === null || clinical[field] === undefined);
+  const inputs = {
+    age: clinical.age ?? null,
+    height_cm: clinical.height_cm ?? null,
+    weight_kg: clinical.weight_kg ?? null,
+    race: race,
+    interacting_drugs: interacting,
+    genotypes: genotypes
+  };
+
+  if (missingInputs.length > 0) {
+    return {
+      algorithm: algorithm.name,
+      reference: algorithm.reference,
+      predicted_weekly_dose_mg: null,
+      predicted_daily_dose_mg: null,
+      adjustments: [],
+      inputs,
+      missing_inputs: missingInputs,
+      notes: [`Provide ${missingInputs.join(', ')} to calculate a predicted dose`]
+    };
+  }
+
+  let sqrtDose = model.intercept +
+    model.age_decades * Math.floor(clinical.age / 10) +
+    model.height_cm * clinical.height_cm +
+    model.weight_kg * clinical.weight_kg +
+    (model.race[race] ?? model.race[DEFAULT_RACE]);
+
+  for (const [gene, table] of Object.entries(model.genotypes || {})) {
+    const genotype = genotypes[gene];
+    if (table[genotype] === undefined || genotype === 'Unknown') {
+      notes.push(genotype === 'Unknown' || genotype === 'Indeterminate'
+        ? `${gene} was not genotyped; the algorithm's unknown-genotype coefficient was used`
+        : `${gene} ${genotype} is outside the algorithm's genotype set; the unknown-genotype coefficient was used`);
+      sqrtDose += table['Unknown'];
+    } else {
+      sqrtDose += table[genotype];
+    }
+  }
+
+  for (const term of Object.keys(interacting)) {
+    sqrtDose += model[term];
+  }
+
+  if (!clinical.race) {
+    notes.push(`Race not provided; the "${DEFAULT_RACE}" coefficient was used`);
+  }
+
+  let weeklyDose = Math.max(sqrtDose, 0) ** 2;
+
+  const adjustments = [];
+  for (const [gene, adjustment] of Object.entries(algorithm.genotype_adjustments || {})) {
+    const fraction = adjustment.by_genotype[genotypes[gene]] || 0;
+    if (fraction === 0) {
+      continue;
+    }
+    if ((adjustment.except_races || []).includes(race)) {
+      notes.push(`${gene} ${genotypes[gene]} adjustment not applied for ${race} patients`);
+      continue;
+    }
+    adjustments.push({ gene, genotype: genotypes[gene], percent: Math.round(fraction * 100) });
+    weeklyDose *= 1 + fraction;
+  }
+
+  return {
+    algorithm: algorithm.name,
+    reference: algorithm.reference,
+    predicted_weekly_dose_mg: parseFloat(weeklyDose.toFixed(1)),
+    predicted_daily_dose_mg: parseFloat((weeklyDose / 7).toFixed(2)),
+    adjustments,
+    inputs,
+    missing_inputs: [],
+    notes
+  };
+}
+
+module.exports = {
+  getDoseAlgorithm,
+  getDosingSiteGenotype,
+  predictWeeklyDose,
+};
@@ -1,16 +1,28 @@
 import React, { useState, useCallback, useEffect, useRef } from 'react';
 import FileUpload from './components/FileUpload';
 import DrugInput from './components/DrugInput';
+import PatientInfo from './components/PatientInfo';
 import Results from './components/Results';
 
 // ✅ Production-ready API base
 const API_BASE =
   process.env.REACT_APP_API_URL ||
   "https://pharma-guard-uwje.onrender.com";
+
+// Optional patient covariates, sent under the API's form field names
+const EMPTY_PATIENT = {
+  age: '',
+  height_cm: '',
+  weight_kg: '',
+  sex: '',
+  race: '',
+  interacting_drugs: ''
+};
   
 function App() {
   const [vcfFile, setVcfFile] = useState(null);
   const [drugs, setDrugs] = useState('');
+  const [patient, setPatient] = useState(EMPTY_PATIENT);
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -28,6 +40,11 @@ function App() {
     setError(null);
   }, []);
 
+  const handlePatientChange = useCallback((patientValue) => {
+    setPatient(patientValue);
+    setError(null);
+  }, []);
+
   const handleAnalyze = async () => {
     if (!vcfFile) {
       setError('Please upload a VCF file');
@@ -46,6 +63,11 @@ function App() {
       const formData = new FormData();
       formData.append('vcfFile', vcfFile);
       formData.append('drugs', drugs);
+      Object.entries(patient).forEach(([field, fieldValue]) => {
+        if (fieldValue.trim()) {
+          formData.append(field, fieldValue.trim());
+        }
+      });
 
       const response = await fetch(`${API_BASE}/api/analyze`, {
         method: 'POST',
@@ -73,6 +95,7 @@ function App() {
   const handleReset = () => {
     setVcfFile(null);
     setDrugs('');
+    setPatient(EMPTY_PATIENT);
     setResults(null);
     setError(null);
   };
@@ -336,6 +359,11 @@ function App() {
                   onChange={handleDrugChange}
                 />
 
+                <PatientInfo
+                  value={patient}
+                  onChange={handlePatientChange}
+                />
+
                 {error && (
                   <div className="flex items-center gap-3 p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 mt-6">
                     <span className="text-xl">⚠️</span>
@@ -6,7 +6,20 @@ const SUPPORTED_DRUGS = [
   'CLOPIDOGREL',
   'SIMVASTATIN',
   'AZATHIOPRINE',
-  'FLUOROURACIL'
+  'MERCAPTOPURINE',
+  'THIOGUANINE',
+  'FLUOROURACIL',
+  'TACROLIMUS',
+  'EFAVIRENZ',
+  'METHADONE',
+  'IRINOTECAN',
+  'ATAZANAVIR',
+  'ABACAVIR',
+  'ALLOPURINOL',
+  'CARBAMAZEPINE',
+  'RASBURICASE',
+  'PRIMAQUINE',
+  'DAPSONE'
 ];
 
 function DrugInput({ value, onChange }) {
@@ -1,6 +1,10 @@
 import React, { useRef, useState, useCallback } from 'react';
 
-const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+// Keep in sync with the backend MAX_UPLOAD_MB setting
+const MAX_FILE_SIZE_MB = parseFloat(process.env.REACT_APP_MAX_UPLOAD_MB) || 512;
+const MAX_FILE_SIZE = MAX_FILE_SIZE_MB * 1024 * 1024;
+// VCF (plain or gzip/bgzip-compressed) and 23andMe/AncestryDNA raw data exports
+const ACCEPTED_EXTENSIONS = ['.vcf', '.vcf.gz', '.vcf.bgz', '.txt', '.txt.gz'];
 
 function FileUpload({ onFileChange, currentFile }) {
   const [isDragging, setIsDragging] = useState(false);
@@ -14,16 +18,16 @@ function FileUpload({ onFileChange, currentFile }) {
       return false;
     }
 
-    // Check file extension
-    const ext = file.name.split('.').pop().toLowerCase();
-    if (ext !== 'vcf') {
-      setError('Only .vcf files are allowed');
+    // Check file extension (VCF or consumer raw data)
+    const name = file.name.toLowerCase();
+    if (!ACCEPTED_EXTENSIONS.some(ext => name.endsWith(ext))) {
+      setError('Only .vcf, .vcf.gz or 23andMe/AncestryDNA .txt files are allowed');
       return false;
     }
 
     // Check file size
     if (file.size > MAX_FILE_SIZE) {
-      setError('File size exceeds 5MB limit');
+      setError(`File size exceeds ${MAX_FILE_SIZE_MB}MB limit`);
       return false;
     }
 
@@ -116,7 +120,7 @@ function FileUpload({ onFileChange, currentFile }) {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".vcf"
+          accept={ACCEPTED_EXTENSIONS.join(',')}
           onChange={handleFileInput}
           className="hidden"
         />
@@ -163,13 +167,13 @@ function FileUpload({ onFileChange, currentFile }) {
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                 </svg>
-                Format: .vcf
+                Format: .vcf, .vcf.gz, 23andMe/AncestryDNA .txt
               </span>
               <span className="flex items-center gap-1">
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
                 </svg>
-                Max: 5MB
+                Max: {MAX_FILE_SIZE_MB}MB
               </span>
             </div>
           </div>
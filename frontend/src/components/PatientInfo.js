@@ -0,0 +1,114 @@
+import React from 'react';
+
+// Race/ancestry categories used by the warfarin (IWPC) dose algorithm
+const RACE_OPTIONS = [
+  'White',
+  'Asian',
+  'Black or African American',
+  'Missing or Mixed'
+];
+
+// Sex decides how X-linked genes (G6PD) are interpreted
+const SEX_OPTIONS = [
+  { value: 'male', label: 'Male' },
+  { value: 'female', label: 'Female' }
+];
+
+const NUMERIC_FIELDS = [
+  { name: 'age', label: 'Age', unit: 'years', min: 18, max: 120 },
+  { name: 'height_cm', label: 'Height', unit: 'cm', min: 100, max: 250 },
+  { name: 'weight_kg', label: 'Weight', unit: 'kg', min: 20, max: 350 }
+];
+
+const INPUT_CLASS = 'w-full px-4 py-3 rounded-xl border-2 border-gray-200 focus:border-teal-500 focus:ring-2 focus:ring-teal-200 outline-none transition-all duration-200 text-gray-900';
+
+function PatientInfo({ value, onChange }) {
+  // Every field is optional; empty fields are not sent
+  const handleFieldChange = (e) => {
+    onChange({ ...value, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div className="mb-6">
+      <label className="block text-gray-900 font-semibold text-lg mb-1">
+        Patient Details <span className="text-sm font-normal text-gray-500">(optional)</span>
+      </label>
+      <p className="text-sm text-gray-500 mb-4">
+        Used for predicted doses (e.g., warfarin) and X-linked genes (G6PD). Leave blank if unknown.
+      </p>
+
+      <div className="grid sm:grid-cols-3 gap-4">
+        {NUMERIC_FIELDS.map((field) => (
+          <div key={field.name}>
+            <label htmlFor={field.name} className="block text-sm font-medium text-gray-700 mb-1">
+              {field.label} ({field.unit})
+            </label>
+            <input
+              id={field.name}
+              name={field.name}
+              type="number"
+              min={field.min}
+              max={field.max}
+              className={INPUT_CLASS}
+              value={value[field.name]}
+              onChange={handleFieldChange}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="grid sm:grid-cols-3 gap-4 mt-4">
+        <div>
+          <label htmlFor="sex" className="block text-sm font-medium text-gray-700 mb-1">
+            Sex
+          </label>
+          <select
+            id="sex"
+            name="sex"
+            className={INPUT_CLASS}
+            value={value.sex}
+            onChange={handleFieldChange}
+          >
+            <option value="">Not specified</option>
+            {SEX_OPTIONS.map((sex) => (
+              <option key={sex.value} value={sex.value}>{sex.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="race" className="block text-sm font-medium text-gray-700 mb-1">
+            Race / Ancestry
+          </label>
+          <select
+            id="race"
+            name="race"
+            className={INPUT_CLASS}
+            value={value.race}
+            onChange={handleFieldChange}
+          >
+            <option value="">Not specified</option>
+            {RACE_OPTIONS.map((race) => (
+              <option key={race} value={race}>{race}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="interacting_drugs" className="block text-sm font-medium text-gray-700 mb-1">
+            Other Medications
+          </label>
+          <input
+            id="interacting_drugs"
+            name="interacting_drugs"
+            type="text"
+            className={INPUT_CLASS}
+            placeholder="e.g., AMIODARONE, CARBAMAZEPINE"
+            value={value.interacting_drugs}
+            onChange={handleFieldChange}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PatientInfo;
@@ -13,6 +13,9 @@ function Results({ data, onReset }) {
   if (data.results) {
     // Old format with wrapper
     results = Array.isArray(data.results) ? data.results : [data.results];
+  } else if (data.samples) {
+    // Multi-sample VCF: results keyed by sample name
+    results = Object.values(data.samples).flatMap(r => (Array.isArray(r) ? r : [r]));
   } else if (Array.isArray(data)) {
     // New format: direct array
     results = data;
@@ -51,6 +54,7 @@ function Results({ data, onReset }) {
         };
       case 'Toxic':
       case 'Ineffective':
+      case 'Hypersensitivity':
         return {
           bg: 'bg-red-50',
           border: 'border-red-300',
@@ -84,6 +88,7 @@ function Results({ data, onReset }) {
           </svg>
         );
       case 'Toxic':
+      case 'Hypersensitivity':
         return (
           <svg className="w-8 h-8 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
@@ -161,6 +166,10 @@ function Results({ data, onReset }) {
       {/* Results */}
       {results.map((result, index) => {
         const styles = getRiskStyles(result.risk_assessment.risk_label);
+        const coverage = result.pharmacogenomic_profile.coverage;
+        const uncoveredSites = coverage
+          ? [...coverage.missing_sites, ...coverage.no_call_sites, ...coverage.filtered_sites]
+          : [];
         
         return (
           <div key={index} className="mb-8 last:mb-0">
@@ -175,9 +184,14 @@ function Results({ data, onReset }) {
                     <h3 className="text-2xl font-bold text-gray-900">{result.drug}</h3>
                     <span className={`${styles.badge} text-white px-4 py-1.5 rounded-full text-sm font-semibold`}>
                       {result.risk_assessment.risk_label}
+                      {result.risk_assessment.dose_direction === 'increase' && ' ↑'}
                     </span>
                   </div>
                   <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+                    <div>
+                      <span className="text-gray-500">Patient:</span>
+                      <span className="ml-2 font-semibold text-gray-900">{result.patient_id}</span>
+                    </div>
                     <div>
                       <span className="text-gray-500">Primary Gene:</span>
                       <span className="ml-2 font-semibold text-gray-900">{result.pharmacogenomic_profile.primary_gene}</span>
@@ -225,12 +239,53 @@ function Results({ data, onReset }) {
                       <div className="bg-gray-50 rounded-xl p-4">
                         <div className="text-sm text-gray-500 mb-1">Diplotype</div>
                         <div className="font-mono text-lg font-semibold text-teal-700">{result.pharmacogenomic_profile.diplotype}</div>
+                        {result.pharmacogenomic_profile.hemizygous && (
+                          <div className="text-xs text-gray-500 mt-1">Hemizygous (single X chromosome)</div>
+                        )}
+                        {result.pharmacogenomic_profile.sex_conflicts && (
+                          <div className="text-xs text-amber-700 mt-1">
+                            Genotype inconsistent with patient sex at {result.pharmacogenomic_profile.sex_conflicts.join(', ')}
+                          </div>
+                        )}
+                        {result.pharmacogenomic_profile.candidate_diplotypes && (
+                          <div className={`text-xs mt-1 ${result.pharmacogenomic_profile.diplotype_ambiguous ? 'text-amber-700' : 'text-gray-500'}`}>
+                            Candidates: {result.pharmacogenomic_profile.candidate_diplotypes
+                              .map(c => `${c.diplotype} ${c.phenotype} (${Math.round(c.probability * 100)}%)`)
+                              .join(', ')}
+                          </div>
+                        )}
                       </div>
                       <div className="bg-gray-50 rounded-xl p-4">
                         <div className="text-sm text-gray-500 mb-1">Phenotype</div>
                         <div className="text-lg font-semibold text-gray-900">{result.pharmacogenomic_profile.phenotype}</div>
+                        {result.pharmacogenomic_profile.phenotype_label && (
+                          <div className="text-xs text-gray-500 mt-1">{result.pharmacogenomic_profile.phenotype_label}</div>
+                        )}
+                        {result.pharmacogenomic_profile.carrier_allele && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            {result.pharmacogenomic_profile.carrier_allele} carrier status
+                            {result.pharmacogenomic_profile.tag_snp && ` (tag SNP proxy ${result.pharmacogenomic_profile.tag_snp.rsid})`}
+                          </div>
+                        )}
+                        {result.pharmacogenomic_profile.activity_score !== undefined && (
+                          <div className="text-xs text-gray-500 mt-1">Activity score: {result.pharmacogenomic_profile.activity_score}</div>
+                        )}
                       </div>
                     </div>
+                    {coverage && (
+                      <div className={`mt-4 text-sm ${coverage.status === 'complete' ? 'text-gray-500' : 'text-amber-700'}`}>
+                        Coverage: {coverage.status.replace('_', ' ')} ({coverage.sites_called}/{coverage.sites_expected} defining sites genotyped)
+                        {uncoveredSites.length > 0 && (
+                          <span className="font-mono"> — not genotyped: {uncoveredSites.join(', ')}</span>
+                        )}
+                      </div>
+                    )}
+                    {result.pharmacogenomic_profile.co_genes && result.pharmacogenomic_profile.co_genes.map(coGene => (
+                      <div key={coGene.gene} className="mt-2 text-sm text-gray-500">
+                        Also used by the dosing rule: <span className="font-semibold text-gray-700">{coGene.gene}</span>{' '}
+                        <span className="font-mono">{coGene.diplotype}</span> ({coGene.phenotype})
+                      </div>
+                    ))}
                     <div className="mt-4">
                       <div className="text-sm text-gray-500 mb-2">Detected Variants</div>
                       <div className="flex flex-wrap gap-2">
@@ -344,6 +399,38 @@ function Results({ data, onReset }) {
                           <div className="text-gray-700">{result.clinical_recommendation.rationale}</div>
                         </div>
                       </div>
+                      {result.clinical_recommendation.predicted_dose && (
+                        <div className="flex items-start gap-3 p-4 bg-indigo-50 rounded-xl">
+                          <div className="w-10 h-10 bg-indigo-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                            <svg className="w-5 h-5 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z" />
+                            </svg>
+                          </div>
+                          <div>
+                            <div className="text-sm text-indigo-600 font-medium">
+                              Predicted Dose ({result.clinical_recommendation.predicted_dose.algorithm})
+                            </div>
+                            {result.clinical_recommendation.predicted_dose.predicted_weekly_dose_mg !== null ? (
+                              <div className="text-gray-900 font-medium">
+                                {result.clinical_recommendation.predicted_dose.predicted_weekly_dose_mg} mg/week
+                                {' '}(~{result.clinical_recommendation.predicted_dose.predicted_daily_dose_mg} mg/day)
+                              </div>
+                            ) : (
+                              <div className="text-gray-700">
+                                Not calculated — missing {result.clinical_recommendation.predicted_dose.missing_inputs.join(', ')}
+                              </div>
+                            )}
+                            <div className="text-xs text-gray-500 mt-1">
+                              {Object.entries(result.clinical_recommendation.predicted_dose.inputs.genotypes)
+                                .map(([gene, genotype]) => `${gene} ${genotype}`)
+                                .join(' · ')}
+                            </div>
+                            {result.clinical_recommendation.predicted_dose.notes.map(note => (
+                              <div key={note} className="text-xs text-amber-600 mt-1">{note}</div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
                     </div>
                   </div>
                 )}
@@ -416,6 +503,19 @@ function Results({ data, onReset }) {
                 </svg>
                 {result.quality_metrics.variants_detected} variants detected
               </span>
+              {result.quality_metrics.filtered_variants?.length > 0 && (
+                <span className="flex items-center gap-2 text-amber-600">
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                  {result.quality_metrics.filtered_variants.length} low-quality call(s) excluded
+                </span>
+              )}
+              {result.quality_metrics.genome_build && (
+                <span className="flex items-center gap-2 text-gray-600">
+                  {result.quality_metrics.genome_build}
+                </span>
+              )}
               <span className="flex items-center gap-2 text-gray-500">
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -423,6 +523,15 @@ function Results({ data, onReset }) {
                 {new Date(result.timestamp).toLocaleString()}
               </span>
             </div>
+
+            {/* Input caveats (e.g., array-based consumer genotyping) */}
+            {result.quality_metrics.caveats?.length > 0 && (
+              <div className="mt-4 p-4 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
+                {result.quality_metrics.caveats.map((caveat, i) => (
+                  <p key={i}>{caveat}</p>
+                ))}
+              </div>
+            )}
           </div>
         );
       })}